@@ -1,6 +1,8 @@
-import { useState, useEffect, useRef } from 'react'
-import { Github, MapPin, Search, Moon, Sun, ArrowRight, ExternalLink, LogOut, Code, Star, Sparkles, RefreshCcw, Settings, Users } from 'lucide-react'
-import { loginWithGithub, getProfile, searchUsers, clearCaches } from './services/github'
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { Github, MapPin, Search, Moon, Sun, ArrowRight, ExternalLink, LogOut, Code, Star, Sparkles, RefreshCcw, Settings, Users, UserPlus, UserCheck, X, EyeOff, Undo2, Trash2, Tag, RotateCcw, SlidersHorizontal, ChevronDown, Building2 } from 'lucide-react'
+import { loginWithGithub, getProfile, searchUsers, searchOrgs, clearCaches, followUser, unfollowUser, rescoreMatch, diversifyMatches, getDefaultWeights } from './services/github'
+import { readDismissed, addDismissed, removeDismissed, readSaved, addSaved, updateSaved, removeSaved, readPrefs, updatePrefs, readFeedback, recordFeedback, removeFeedback, clearFeedback } from './lib/storage'
+import { learnWeights, MIN_EXAMPLES } from './lib/learning'
 
 const MATCHES_CACHE_KEY = 'githug_cached_matches_v1'
 const readMatchesCache = () => {
@@ -14,6 +16,10 @@ const readMatchesCache = () => {
             matches: parsed.matches,
             page: Number.isFinite(parsed.page) ? parsed.page : 1,
             hasMore: Boolean(parsed.hasMore),
+            seed: typeof parsed.seed === 'string' ? parsed.seed : null,
+            repo: typeof parsed.repo === 'string' ? parsed.repo : null,
+            team: typeof parsed.team === 'string' ? parsed.team : null,
+            teamWeights: parsed.teamWeights && typeof parsed.teamWeights === 'object' ? parsed.teamWeights : {},
             savedAt: Number.isFinite(parsed.savedAt) ? parsed.savedAt : 0,
         }
     } catch {
@@ -21,11 +27,11 @@ const readMatchesCache = () => {
     }
 }
 
-const writeMatchesCache = ({ matches, page, hasMore }) => {
+const writeMatchesCache = ({ matches, page, hasMore, seed, repo, team, teamWeights }) => {
     try {
         sessionStorage.setItem(
             MATCHES_CACHE_KEY,
-            JSON.stringify({ matches, page, hasMore, savedAt: Date.now() })
+            JSON.stringify({ matches, page, hasMore, seed, repo, team, teamWeights, savedAt: Date.now() })
         )
     } catch {
         // ignore storage quota / privacy mode
@@ -43,6 +49,74 @@ const clearMatchesCache = () => {
 // Key to force fresh fetch on next page load
 const FORCE_REFRESH_KEY = 'githug_force_refresh'
 
+const DISMISS_REASONS = ['Not my stack', 'Already know them', 'Inactive or low quality']
+
+// Candidate quality gate: why accounts were skipped, and how long inactivity is tolerated
+const REJECTION_LABELS = {
+    bot: 'Bots and automation accounts',
+    noRepos: 'No repositories of their own',
+    followFarm: 'Follow-for-follow ratios',
+    inactive: 'Inactive for too long',
+}
+
+const INACTIVITY_OPTIONS = [
+    { days: 182, label: '6 months' },
+    { days: 365, label: '1 year' },
+    { days: 730, label: '2 years' },
+    { days: 0, label: 'Never skip' },
+]
+
+const WEIGHT_LABELS = {
+    languageOverlap: 'Language overlap',
+    starredOwner: 'Starred owner',
+    sharedStars: 'Shared stars',
+    coFollowed: 'Followed by your network',
+    topicOverlap: 'Topic overlap',
+    bioKeyword: 'Bio keyword',
+    sameCountry: 'Proximity',
+    followerRatio: 'Follower ratio',
+    recentActivity: 'Recent activity',
+    activeHours: 'Active hours',
+}
+
+const EMPTY_FILTERS = {
+    location: '',
+    languages: [],
+    minFollowers: null,
+    maxFollowers: null,
+    minAccountAgeYears: null,
+    maxAccountAgeYears: null,
+}
+
+const ACCOUNT_AGE_OPTIONS = [
+    { id: '', label: 'Any account age', min: null, max: null },
+    { id: 'new', label: 'Newer than 1 year', min: null, max: 1 },
+    { id: 'recent', label: 'Newer than 3 years', min: null, max: 3 },
+    { id: 'established', label: 'Older than 3 years', min: 3, max: null },
+    { id: 'veteran', label: 'Older than 8 years', min: 8, max: null },
+]
+
+// Re-score with new weights and keep the grid ranked
+const rerankMatches = (list, weights, diversity = 0) =>
+    diversifyMatches(list.map(m => rescoreMatch(m, weights)), diversity)
+
+const PAGE_SIZE = 12
+
+// Place a streamed match at its ranked position, keeping only the best `limit`
+const insertRanked = (list, match, limit = PAGE_SIZE) => {
+    const rest = list.filter(m => m.login !== match.login)
+    const index = rest.findIndex(m => m.matchScore < match.matchScore)
+    const next = index === -1 ? [...rest, match] : [...rest.slice(0, index), match, ...rest.slice(index)]
+    return next.slice(0, limit)
+}
+
+const progressLabel = (progress) => {
+    if (!progress) return 'Analyzing...'
+    if (progress.phase === 'profiling') return 'Profiling your activity...'
+    if (progress.phase === 'searching') return 'Searching for candidates...'
+    return `Scoring ${progress.done}/${progress.total}`
+}
+
 const SkeletonCard = () => (
     <div className="p-6 rounded-3xl bg-card border border-border/60 dark:border-border/30 shadow-sm animate-pulse flex flex-col h-[320px]">
         <div className="flex items-center gap-4 mb-6">
@@ -60,6 +134,407 @@ const SkeletonCard = () => (
     </div>
 )
 
+const FilterBar = ({ value, onApply, disabled }) => {
+    const toDraft = (filters) => ({
+        location: filters.location || '',
+        languages: (filters.languages || []).join(', '),
+        minFollowers: filters.minFollowers ?? '',
+        maxFollowers: filters.maxFollowers ?? '',
+        accountAge: ACCOUNT_AGE_OPTIONS.find((o) =>
+            o.min === (filters.minAccountAgeYears ?? null) && o.max === (filters.maxAccountAgeYears ?? null)
+        )?.id || '',
+    })
+    const [draft, setDraft] = useState(() => toDraft(value))
+    const [error, setError] = useState('')
+    const update = (key) => (e) => {
+        setDraft((d) => ({ ...d, [key]: e.target.value }))
+        setError('')
+    }
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        const age = ACCOUNT_AGE_OPTIONS.find((o) => o.id === draft.accountAge) || ACCOUNT_AGE_OPTIONS[0]
+        const toCount = (v) => (v === '' ? null : Number(v))
+        const minFollowers = toCount(draft.minFollowers)
+        const maxFollowers = toCount(draft.maxFollowers)
+        // GitHub finds nobody for followers:500..50: say so instead of showing an empty grid
+        if (minFollowers != null && maxFollowers != null && minFollowers > maxFollowers) {
+            setError('Min followers must not exceed max followers')
+            return
+        }
+        onApply({
+            location: draft.location.trim(),
+            languages: draft.languages.split(',').map((l) => l.trim()).filter(Boolean),
+            minFollowers,
+            maxFollowers,
+            minAccountAgeYears: age.min,
+            maxAccountAgeYears: age.max,
+        })
+    }
+
+    const handleClear = () => {
+        setDraft(toDraft(EMPTY_FILTERS))
+        setError('')
+        onApply(EMPTY_FILTERS)
+    }
+
+    const inputClass = 'text-sm bg-secondary/50 border border-border/50 rounded-lg px-3 py-1.5 focus:outline-none focus:ring-1 focus:ring-primary'
+
+    return (
+        <form onSubmit={handleSubmit} aria-label="Search filters" className="flex items-center gap-2 flex-wrap">
+            <SlidersHorizontal className="w-4 h-4 text-muted-foreground" />
+            <input value={draft.location} onChange={update('location')} placeholder="Location (e.g. Berlin)" aria-label="Location" className={`${inputClass} w-44`} />
+            <input value={draft.languages} onChange={update('languages')} placeholder="Languages (Go, Rust)" aria-label="Languages" className={`${inputClass} w-44`} />
+            <input type="number" min={0} value={draft.minFollowers} onChange={update('minFollowers')} placeholder="Min followers" aria-label="Min followers" className={`${inputClass} w-32`} />
+            <input type="number" min={0} value={draft.maxFollowers} onChange={update('maxFollowers')} placeholder="Max followers" aria-label="Max followers" className={`${inputClass} w-32`} />
+            <select value={draft.accountAge} onChange={update('accountAge')} aria-label="Account age" className={inputClass}>
+                {ACCOUNT_AGE_OPTIONS.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+            <button type="submit" disabled={disabled} className="px-4 py-1.5 rounded-lg bg-primary text-primary-foreground text-sm font-semibold hover:opacity-90 transition-opacity disabled:opacity-60">
+                Apply
+            </button>
+            <button type="button" onClick={handleClear} disabled={disabled} className="px-3 py-1.5 rounded-lg text-sm text-muted-foreground hover:text-foreground transition-colors disabled:opacity-60">
+                Clear
+            </button>
+            {error && <span role="alert" className="text-xs text-destructive">{error}</span>}
+        </form>
+    )
+}
+
+// Logins of a "alice, bob" team; an org team ("org/team-slug") lists its members only on GitHub
+const teamMembers = (team) =>
+    team && !team.includes('/')
+        ? [...new Set(team.split(/[\s,]+/).map(l => l.replace(/^@/, '').toLowerCase()).filter(Boolean))]
+        : []
+
+// How much each member counts in the team profile (1 = equal share, 0 = left out)
+const TeamWeights = ({ members, value, onApply, disabled }) => {
+    const [draft, setDraft] = useState(() => Object.fromEntries(members.map(m => [m, String(value[m] ?? 1)])))
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        onApply(Object.fromEntries(members.map(m => {
+            const weight = Number(draft[m])
+            return [m, Number.isFinite(weight) && weight >= 0 ? weight : 1]
+        })))
+    }
+
+    return (
+        <form onSubmit={handleSubmit} aria-label="Team weights" className="flex items-center gap-2 flex-wrap text-xs">
+            {members.map(m => (
+                <label key={m} className="flex items-center gap-1 text-muted-foreground">
+                    @{m}
+                    <input
+                        type="number"
+                        min={0}
+                        max={10}
+                        step={0.5}
+                        value={draft[m]}
+                        onChange={(e) => setDraft(prev => ({ ...prev, [m]: e.target.value }))}
+                        aria-label={`Weight of ${m}`}
+                        className="w-14 bg-secondary/50 border border-border/50 rounded-lg px-2 py-1 focus:outline-none focus:ring-1 focus:ring-primary"
+                    />
+                </label>
+            ))}
+            <button type="submit" disabled={disabled} className="px-3 py-1 rounded-lg bg-secondary hover:bg-secondary/80 font-semibold transition-colors disabled:opacity-60">
+                Apply weights
+            </button>
+        </form>
+    )
+}
+
+// "Find people like @someone" ranks candidates against another account's profile;
+// "owner/repo" draws them from that repository's contributors, issue authors and stargazers;
+// a team ("alice, bob" or "org/team-slug") is matched as one aggregate profile
+const SeedSearch = ({ seed, repo, team, teamWeights, onSeed, onRepo, onTeam, onTeamWeights, disabled }) => {
+    const [draft, setDraft] = useState('')
+    const [teamDraft, setTeamDraft] = useState('')
+
+    const handleTeamSubmit = (e) => {
+        e.preventDefault()
+        const value = teamDraft.trim()
+        if (!value) return
+        onTeam(value)
+        setTeamDraft('')
+    }
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        const value = draft.trim()
+        if (!value) return
+        if (value.includes('/')) onRepo(value.replace(/^(https?:\/\/)?(www\.)?github\.com\//i, '').replace(/(\.git)?\/?$/, ''))
+        else onSeed(value.replace(/^@/, ''))
+        setDraft('')
+    }
+
+    const chipClass = 'flex items-center gap-1.5 text-xs font-medium text-primary bg-primary/10 py-1 pl-2.5 pr-1 rounded-full'
+
+    return (
+        <div className="flex items-center gap-2 flex-wrap">
+            <form onSubmit={handleSubmit} aria-label="Seed search" className="flex items-center gap-2">
+                <Search className="w-4 h-4 text-muted-foreground" />
+                <input
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="People like @someone, or owner/repo"
+                    aria-label="Find people like"
+                    className="text-sm bg-secondary/50 border border-border/50 rounded-lg px-3 py-1.5 w-56 focus:outline-none focus:ring-1 focus:ring-primary"
+                />
+                <button type="submit" disabled={disabled} className="px-4 py-1.5 rounded-lg bg-secondary hover:bg-secondary/80 text-sm font-semibold transition-colors disabled:opacity-60">
+                    Find
+                </button>
+            </form>
+            <form onSubmit={handleTeamSubmit} aria-label="Team search" className="flex items-center gap-2">
+                <Users className="w-4 h-4 text-muted-foreground" />
+                <input
+                    value={teamDraft}
+                    onChange={(e) => setTeamDraft(e.target.value)}
+                    placeholder="Team: alice, bob or org/team"
+                    aria-label="Team members"
+                    className="text-sm bg-secondary/50 border border-border/50 rounded-lg px-3 py-1.5 w-56 focus:outline-none focus:ring-1 focus:ring-primary"
+                />
+                <button type="submit" disabled={disabled} className="px-4 py-1.5 rounded-lg bg-secondary hover:bg-secondary/80 text-sm font-semibold transition-colors disabled:opacity-60">
+                    Match team
+                </button>
+            </form>
+            {seed && (
+                <span className={chipClass}>
+                    People like @{seed}
+                    <button
+                        type="button"
+                        onClick={() => onSeed(null)}
+                        disabled={disabled}
+                        aria-label="Back to people like me"
+                        className="p-0.5 rounded-full hover:bg-primary/20 transition-colors"
+                    >
+                        <X className="w-3 h-3" />
+                    </button>
+                </span>
+            )}
+            {team && (
+                <span className={chipClass}>
+                    Team: {team}
+                    <button
+                        type="button"
+                        onClick={() => onTeam(null)}
+                        disabled={disabled}
+                        aria-label="Leave team mode"
+                        className="p-0.5 rounded-full hover:bg-primary/20 transition-colors"
+                    >
+                        <X className="w-3 h-3" />
+                    </button>
+                </span>
+            )}
+            {teamMembers(team).length > 1 && (
+                <TeamWeights key={team} members={teamMembers(team)} value={teamWeights} onApply={onTeamWeights} disabled={disabled} />
+            )}
+            {repo && (
+                <span className={chipClass}>
+                    Around {repo}
+                    <button
+                        type="button"
+                        onClick={() => onRepo(null)}
+                        disabled={disabled}
+                        aria-label="Leave repository mode"
+                        className="p-0.5 rounded-full hover:bg-primary/20 transition-colors"
+                    >
+                        <X className="w-3 h-3" />
+                    </button>
+                </span>
+            )}
+        </div>
+    )
+}
+
+// Debug summary of the candidate quality gate, to tune its thresholds
+const QualitySummary = ({ rejected }) => {
+    const entries = Object.entries(rejected).filter(([, count]) => count > 0)
+    const total = entries.reduce((sum, [, count]) => sum + count, 0)
+    if (total === 0) return null
+
+    return (
+        <details className="text-xs text-muted-foreground">
+            <summary className="cursor-pointer hover:text-foreground">Quality filter skipped {total} account{total === 1 ? '' : 's'}</summary>
+            <ul className="mt-2 space-y-0.5">
+                {entries.map(([reason, count]) => (
+                    <li key={reason} className="flex justify-between gap-6">
+                        <span>{REJECTION_LABELS[reason] || reason}</span>
+                        <span className="tabular-nums">{count}</span>
+                    </li>
+                ))}
+            </ul>
+        </details>
+    )
+}
+
+// "Why this match": each factor's points against its maximum (the factor weight)
+const ScoreBreakdown = ({ id, breakdown }) => {
+    const rows = [...breakdown].filter(f => f.weight > 0).sort((a, b) => b.points - a.points || b.weight - a.weight)
+    const earned = rows.reduce((sum, f) => sum + f.points, 0)
+    const possible = rows.reduce((sum, f) => sum + f.weight, 0)
+
+    return (
+        <div id={id} className="space-y-2 p-3 rounded-lg bg-secondary/40 border border-border/50">
+            {rows.map((f) => (
+                <div key={f.id} className="space-y-0.5">
+                    <div className="flex items-center justify-between text-[11px] font-medium">
+                        <span>{WEIGHT_LABELS[f.id] || f.id}</span>
+                        <span className="tabular-nums text-muted-foreground">{f.points} / {f.weight}</span>
+                    </div>
+                    <div
+                        role="meter"
+                        aria-label={WEIGHT_LABELS[f.id] || f.id}
+                        aria-valuemin={0}
+                        aria-valuemax={f.weight}
+                        aria-valuenow={f.points}
+                        className="h-1.5 rounded-full bg-border/60 overflow-hidden"
+                    >
+                        <div className="h-full bg-primary" style={{ width: `${Math.round(f.fraction * 100)}%` }} />
+                    </div>
+                    {f.evidence.length > 0 && (
+                        <p className="text-[10px] text-muted-foreground truncate">{f.evidence.slice(0, 3).join(', ')}</p>
+                    )}
+                </div>
+            ))}
+            <p className="pt-1 text-[10px] text-muted-foreground">
+                {Math.round(earned * 10) / 10} of {possible} possible points
+            </p>
+        </div>
+    )
+}
+
+const OrgCard = ({ org }) => (
+    <div className="flex flex-col gap-3 p-5 rounded-xl bg-card border border-border/60 dark:border-border/30 shadow-sm">
+        <div className="flex items-center gap-3">
+            <img src={org.avatar_url} alt={org.login} className="w-12 h-12 rounded-xl object-cover" />
+            <div className="min-w-0 flex-1">
+                <a href={org.html_url} target="_blank" rel="noreferrer" className="font-bold truncate block hover:underline">
+                    {org.name || org.login}
+                </a>
+                <p className="text-xs text-muted-foreground truncate">
+                    @{org.login} · {org.memberCount}{org.membersCapped && '+'} public member{org.memberCount === 1 ? '' : 's'}
+                    {org.followedMembers?.length > 0 && ` (${org.followedMembers.length} you follow)`}
+                </p>
+            </div>
+            {org.matchScore > 0 && (
+                <div className="flex items-center gap-1.5 text-xs font-bold text-primary bg-primary/10 py-1 px-2.5 rounded-full">
+                    <Sparkles className="w-3 h-3" />
+                    {org.matchScore}%
+                </div>
+            )}
+        </div>
+        {org.description && <p className="text-sm text-muted-foreground/80 line-clamp-2">{org.description}</p>}
+        {org.matchReasons?.length > 0 && (
+            <div className="space-y-1">
+                {org.matchReasons.map((reason) => (
+                    <p key={reason} className="text-xs text-primary/80 flex items-center gap-1.5">
+                        <Star className="w-3 h-3" />
+                        {reason}
+                    </p>
+                ))}
+            </div>
+        )}
+        {org.topRepos?.length > 0 && (
+            <ul aria-label={`Top repositories of ${org.login}`} className="space-y-1 pt-2 border-t border-border/60">
+                {org.topRepos.map((repo) => (
+                    <li key={repo.name} className="flex items-center justify-between gap-2 text-xs">
+                        <a href={repo.html_url} target="_blank" rel="noreferrer" className="font-medium truncate hover:underline">{repo.name}</a>
+                        <span className="flex items-center gap-1 text-muted-foreground tabular-nums">
+                            {repo.language && <span>{repo.language}</span>}
+                            <Star className="w-3 h-3" />
+                            {repo.stars}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+)
+
+const SavedCard = ({ entry, onUpdate, onRemove }) => {
+    const { user: saved } = entry
+    const [notes, setNotes] = useState(entry.notes)
+    const [tagInput, setTagInput] = useState('')
+
+    const addTag = (e) => {
+        e.preventDefault()
+        if (!tagInput.trim()) return
+        onUpdate(entry.login, { tags: [...entry.tags, tagInput] })
+        setTagInput('')
+    }
+
+    return (
+        <div className="flex flex-col gap-3 p-5 rounded-xl bg-card border border-border/60 dark:border-border/30 shadow-sm">
+            <div className="flex items-center gap-3">
+                <img src={saved.avatar_url} alt={saved.login} className="w-12 h-12 rounded-xl object-cover" />
+                <div className="min-w-0 flex-1">
+                    <a href={saved.html_url} target="_blank" rel="noreferrer" className="font-bold truncate block hover:underline">
+                        {saved.name || saved.login}
+                    </a>
+                    <p className="text-xs text-muted-foreground truncate">
+                        @{saved.login}{entry.score > 0 && ` · ${entry.score}% match`}
+                    </p>
+                </div>
+                <button
+                    type="button"
+                    onClick={() => onRemove(entry.login)}
+                    aria-label={`Remove ${entry.login} from saved`}
+                    className="p-2 rounded-lg text-muted-foreground hover:text-destructive hover:bg-destructive/10 transition-colors"
+                >
+                    <Trash2 className="w-4 h-4" />
+                </button>
+            </div>
+
+            {saved.languages?.length > 0 && (
+                <div className="flex items-center gap-1.5 flex-wrap">
+                    {saved.languages.map((lang) => (
+                        <span key={lang} className="text-[11px] font-semibold bg-secondary border border-border/50 py-0.5 px-2 rounded-md">{lang}</span>
+                    ))}
+                </div>
+            )}
+
+            {entry.reasons.length > 0 && (
+                <p className="text-xs text-primary/80">{entry.reasons.join(' · ')}</p>
+            )}
+
+            <div className="flex items-center gap-1.5 flex-wrap">
+                {entry.tags.map((tag) => (
+                    <span key={tag} className="flex items-center gap-1 text-[11px] font-medium text-primary bg-primary/10 py-0.5 pl-2 pr-1 rounded-full">
+                        #{tag}
+                        <button
+                            type="button"
+                            onClick={() => onUpdate(entry.login, { tags: entry.tags.filter((t) => t !== tag) })}
+                            aria-label={`Remove tag ${tag}`}
+                            className="hover:text-destructive"
+                        >
+                            <X className="w-3 h-3" />
+                        </button>
+                    </span>
+                ))}
+                <form onSubmit={addTag} className="flex items-center">
+                    <input
+                        value={tagInput}
+                        onChange={(e) => setTagInput(e.target.value)}
+                        placeholder="+ tag"
+                        aria-label={`Add tag for ${entry.login}`}
+                        className="w-20 text-[11px] bg-transparent border-b border-border/60 focus:outline-none focus:border-primary"
+                    />
+                </form>
+            </div>
+
+            <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                onBlur={() => notes !== entry.notes && onUpdate(entry.login, { notes })}
+                placeholder="Notes…"
+                aria-label={`Notes for ${entry.login}`}
+                rows={2}
+                className="w-full text-sm bg-secondary/40 border border-border/50 rounded-lg p-2 resize-y focus:outline-none focus:ring-1 focus:ring-primary"
+            />
+        </div>
+    )
+}
+
 function App() {
   const [user, setUser] = useState(null)
   const [matches, setMatches] = useState([])
@@ -70,8 +545,43 @@ function App() {
     const [page, setPage] = useState(1)
   const [theme, setTheme] = useState('dark')
     const [authError, setAuthError] = useState('')
+    const [followPending, setFollowPending] = useState(() => new Set())
+    const [dismissed, setDismissed] = useState([])
+    const [dismissingLogin, setDismissingLogin] = useState(null)
+    const [view, setView] = useState('matches')
+    const [saved, setSaved] = useState([])
+    const [savedTagFilter, setSavedTagFilter] = useState('')
+    const [savedLangFilter, setSavedLangFilter] = useState('')
+    // Snapshot at start-up: factors registered later don't shift the sliders under the user
+    const [defaultWeights] = useState(getDefaultWeights)
+    const [weights, setWeights] = useState(defaultWeights)
+    const [prefsOpen, setPrefsOpen] = useState(false)
+    const [filters, setFilters] = useState(EMPTY_FILTERS)
+    const [rateLimited, setRateLimited] = useState(false)
+    const [progress, setProgress] = useState(null)
+    const [languageMode, setLanguageMode] = useState('primary')
+    const [activeHours, setActiveHours] = useState(false)
+    const [inactiveDays, setInactiveDays] = useState(365)
+    const [diversity, setDiversity] = useState(0)
+    const [rejected, setRejected] = useState({})
+    const [learning, setLearning] = useState(false)
+    const [feedback, setFeedback] = useState([])
+    // "Find people like @someone": match against that account instead of me
+    const [seed, setSeed] = useState(null)
+    // Repository mode: candidates come from one repo's community ("owner/repo")
+    const [repo, setRepo] = useState(null)
+    // Team mode: "alice, bob" or "org/team-slug", matched as one aggregate profile
+    const [team, setTeam] = useState(null)
+    const [teamWeights, setTeamWeights] = useState({})
+    const [whyOpen, setWhyOpen] = useState(null)
 
         const searchAbortRef = useRef(null)
+    // Organizations tab: loaded on first visit, independent of the people search
+    const [orgs, setOrgs] = useState({ items: [], page: 0, hasMore: false, loading: false })
+    const orgAbortRef = useRef(null)
+    // Weights fitted on-device from follows, saves and dismissals (null until there is enough feedback)
+    const learnedWeights = useMemo(() => (learning ? learnWeights(feedback, defaultWeights) : null), [learning, feedback, defaultWeights])
+    const effectiveWeights = learnedWeights || weights
 
       // Derived state to drive UI during the very first search
       // We rely on initialLoadComplete to know when the FIRST successful load happened.
@@ -96,14 +606,18 @@ function App() {
             setMatches(cached.matches)
             setHasMore(cached.hasMore)
             setPage(cached.page)
+            setSeed(cached.seed)
+            setRepo(cached.repo)
+            setTeam(cached.team)
+            setTeamWeights(cached.teamWeights)
         }, [])
 
         // Persist matches cache for faster reloads
         useEffect(() => {
             if (!user) return
             if (!matches || matches.length === 0) return
-            writeMatchesCache({ matches, page, hasMore })
-        }, [user, matches, page, hasMore])
+            writeMatchesCache({ matches, page, hasMore, seed, repo, team, teamWeights })
+        }, [user, matches, page, hasMore, seed, repo, team, teamWeights])
 
   useEffect(() => {
     // Check system preference on mount
@@ -219,6 +733,26 @@ function App() {
                 .then(async (u) => {
                     // Set user immediately so the UI shows the logged-in state
                     setUser(u)
+                    const hidden = readDismissed(u.login)
+                    setDismissed(hidden)
+                    setSaved(readSaved(u.login))
+                    const prefs = readPrefs(u.login)
+                    const userWeights = { ...defaultWeights, ...prefs.weights }
+                    const userFilters = { ...EMPTY_FILTERS, ...prefs.filters }
+                    const userLanguageMode = prefs.languageMode === 'bytes' ? 'bytes' : 'primary'
+                    const userActiveHours = prefs.activeHours === true
+                    const userInactiveDays = Number.isFinite(prefs.inactiveDays) ? prefs.inactiveDays : 365
+                    const userDiversity = Number.isFinite(prefs.diversity) ? prefs.diversity : 0
+                    const userLearning = prefs.learnWeights === true
+                    const userFeedback = readFeedback(u.login)
+                    setWeights(userWeights)
+                    setFilters(userFilters)
+                    setLanguageMode(userLanguageMode)
+                    setActiveHours(userActiveHours)
+                    setInactiveDays(userInactiveDays)
+                    setDiversity(userDiversity)
+                    setLearning(userLearning)
+                    setFeedback(userFeedback)
                     
                     // If we have cached results, user already sees them - skip search
                     if (hasCachedResults) {
@@ -234,16 +768,32 @@ function App() {
                     searchAbortRef.current = controller
 
                     try {
-                        const res = await searchUsers(token, u, { page: 1, pageSize: 12, excludeLogins: [], signal: controller.signal })
+                        const res = await searchUsers(token, u, {
+                            page: 1,
+                            pageSize: PAGE_SIZE,
+                            excludeLogins: [],
+                            dismissedLogins: hidden.map(d => d.login),
+                            weights: (userLearning && learnWeights(userFeedback, defaultWeights)) || userWeights,
+                            diversity: userDiversity,
+                            filters: userFilters,
+                            languageMode: userLanguageMode,
+                            activeHours: userActiveHours,
+                            quality: { inactiveDays: userInactiveDays },
+                            signal: controller.signal,
+                            ...streamInto(controller, 0),
+                        })
                         // Only update state if this request wasn't aborted
                         if (!controller.signal.aborted) {
                             setMatches(res.items)
                             setHasMore(Boolean(res.hasMore))
+                            setRateLimited(Boolean(res.rateLimited))
+                            setRejected(res.rejected || {})
                             setPage(1)
                             setInitialLoadComplete(true)
                         }
                     } catch (e) {
-                         if (e.name !== 'AbortError') {
+                         // The service reports an aborted fetch as a timeout, not an AbortError
+                         if (!controller.signal.aborted) {
                             console.error(e)
                             setAuthError(e?.message || 'Search failed')
                             // Even on error, we mark initial load as complete so we stop showing skeletons forever
@@ -253,6 +803,7 @@ function App() {
                         if (!controller.signal.aborted) {
                             setSearching(false)
                             setLoading(false)
+                            setProgress(null)
                         }
                     }
                 })
@@ -267,7 +818,7 @@ function App() {
                     setLoading(false)
                 })
         }
-  }, [])
+  }, [defaultWeights]) // a start-up snapshot, so this still runs once
 
   const handleLogin = () => {
     loginWithGithub()
@@ -275,12 +826,27 @@ function App() {
 
   const handleLogout = () => {
     if (searchAbortRef.current) searchAbortRef.current.abort()
+    if (orgAbortRef.current) orgAbortRef.current.abort()
     localStorage.removeItem('githug_token')
     setUser(null)
     setMatches([])
     setHasMore(false)
     setPage(1)
     setInitialLoadComplete(false)
+    setDismissed([])
+    setSaved([])
+    setWeights(defaultWeights)
+    setLearning(false)
+    setFeedback([])
+    setFilters(EMPTY_FILTERS)
+    setSeed(null)
+    setRepo(null)
+    setTeam(null)
+    setTeamWeights({})
+    setRejected({})
+    setOrgs({ items: [], page: 0, hasMore: false, loading: false })
+    setPrefsOpen(false)
+    setView('matches')
         clearMatchesCache()
         clearCaches()  // Clear internal GitHub service caches
   }
@@ -298,21 +864,331 @@ function App() {
 
         setLoadingMore(true)
         setAuthError('')
+        const shown = matches.length
         try {
             const nextPage = page + 1
             const excludeLogins = matches.map(m => m.login)
-            const res = await searchUsers(token, user, { page: nextPage, pageSize: 12, excludeLogins, signal: controller.signal })
-            setMatches(prev => [...prev, ...res.items])
+            const res = await searchUsers(token, user, {
+                page: nextPage,
+                pageSize: PAGE_SIZE,
+                excludeLogins,
+                dismissedLogins: dismissed.map(d => d.login),
+                weights: effectiveWeights,
+                diversity,
+                filters,
+                languageMode,
+                activeHours,
+                quality: { inactiveDays },
+                seedLogin: seed,
+                repo,
+                team,
+                teamWeights,
+                signal: controller.signal,
+                ...streamInto(controller, shown),
+            })
+            // A filter or mode change restarted the search: this page belongs to the old one
+            if (controller.signal.aborted) return
+            setMatches(prev => [...prev.slice(0, shown), ...res.items])
             setHasMore(Boolean(res.hasMore))
+            setRateLimited(Boolean(res.rateLimited))
+            setRejected(res.rejected || {})
             setPage(nextPage)
         } catch (e) {
-            console.error(e)
-            setAuthError(e?.message || 'load more failed')
+            if (!controller.signal.aborted) {
+                console.error(e)
+                setAuthError(e?.message || 'load more failed')
+            }
         } finally {
             setLoadingMore(false)
+            if (!controller.signal.aborted) setProgress(null)
         }
     }
 
+    // Streaming callbacks: cards land in ranked order after the first `shown` ones
+    const streamInto = (controller, shown) => ({
+        onMatch: (match) => {
+            if (controller.signal.aborted) return
+            setMatches(prev => [...prev.slice(0, shown), ...insertRanked(prev.slice(shown), match)])
+        },
+        onProgress: (next) => {
+            if (!controller.signal.aborted) setProgress(next)
+        },
+    })
+
+    const setMatchFollowing = (login, isFollowing) => {
+        setMatches(prev => prev.map(m => (m.login === login ? { ...m, isFollowing } : m)))
+    }
+
+    // Optimistic follow/unfollow: flip the card first, roll back if GitHub rejects it
+    const handleToggleFollow = async (match) => {
+        const token = localStorage.getItem('githug_token')
+        if (!token || followPending.has(match.login)) return
+
+        const next = !match.isFollowing
+        setMatchFollowing(match.login, next)
+        setFollowPending(prev => new Set(prev).add(match.login))
+        setAuthError('')
+        try {
+            await (next ? followUser : unfollowUser)(token, match.login)
+            if (user) setFeedback(next ? recordFeedback(user.login, match, 'follow') : removeFeedback(user.login, match.login, 'follow'))
+        } catch (e) {
+            console.error(e)
+            setMatchFollowing(match.login, !next)
+            setAuthError(e?.message || (next ? 'Follow failed' : 'Unfollow failed'))
+        } finally {
+            setFollowPending(prev => {
+                const copy = new Set(prev)
+                copy.delete(match.login)
+                return copy
+            })
+        }
+    }
+
+    // Filters and the profile options change who is found, not just the ranking: start over from page 1
+    const restartSearch = async ({
+        filters: nextFilters = filters,
+        languageMode: nextMode = languageMode,
+        activeHours: nextActiveHours = activeHours,
+        inactiveDays: nextInactiveDays = inactiveDays,
+        seed: nextSeed = seed,
+        repo: nextRepo = repo,
+        team: nextTeam = team,
+        teamWeights: nextTeamWeights = teamWeights,
+    } = {}) => {
+        if (!user) return
+        const token = localStorage.getItem('githug_token')
+        if (!token) return
+
+        if (searchAbortRef.current) searchAbortRef.current.abort()
+        const controller = new AbortController()
+        searchAbortRef.current = controller
+
+        clearMatchesCache()
+        setMatches([])
+        setSearching(true)
+        setAuthError('')
+        try {
+            const res = await searchUsers(token, user, {
+                page: 1,
+                pageSize: PAGE_SIZE,
+                excludeLogins: [],
+                dismissedLogins: dismissed.map(d => d.login),
+                weights: effectiveWeights,
+                diversity,
+                filters: nextFilters,
+                languageMode: nextMode,
+                activeHours: nextActiveHours,
+                quality: { inactiveDays: nextInactiveDays },
+                seedLogin: nextSeed,
+                repo: nextRepo,
+                team: nextTeam,
+                teamWeights: nextTeamWeights,
+                signal: controller.signal,
+                ...streamInto(controller, 0),
+            })
+            if (!controller.signal.aborted) {
+                setMatches(res.items)
+                setHasMore(Boolean(res.hasMore))
+                setRateLimited(Boolean(res.rateLimited))
+                setRejected(res.rejected || {})
+                setPage(1)
+            }
+        } catch (e) {
+            if (!controller.signal.aborted) {
+                console.error(e)
+                setAuthError(e?.message || 'Search failed')
+            }
+        } finally {
+            if (!controller.signal.aborted) {
+                setSearching(false)
+                setProgress(null)
+            }
+        }
+    }
+
+    const handleApplyFilters = (next) => {
+        if (!user) return
+        setFilters(next)
+        updatePrefs(user.login, { filters: next })
+        restartSearch({ filters: next })
+    }
+
+    const handleLanguageModeChange = (mode) => {
+        if (!user) return
+        setLanguageMode(mode)
+        updatePrefs(user.login, { languageMode: mode })
+        restartSearch({ languageMode: mode })
+    }
+
+    const handleSeedChange = (login) => {
+        if (!user) return
+        const next = login && login.toLowerCase() !== user.login.toLowerCase() ? login : null
+        setSeed(next)
+        // One profile to match against: a seed replaces team mode
+        if (next) {
+            setTeam(null)
+            setTeamWeights({})
+        }
+        setWhyOpen(null)
+        restartSearch({ seed: next, ...(next && { team: null, teamWeights: {} }) })
+    }
+
+    const handleRepoChange = (name) => {
+        if (!user) return
+        const next = name || null
+        setRepo(next)
+        setWhyOpen(null)
+        restartSearch({ repo: next })
+    }
+
+    const handleTeamChange = (members) => {
+        if (!user) return
+        const next = members || null
+        setTeam(next)
+        setTeamWeights({})
+        // ...and a team replaces the seed
+        if (next) setSeed(null)
+        setWhyOpen(null)
+        restartSearch({ team: next, teamWeights: {}, ...(next && { seed: null }) })
+    }
+
+    const handleTeamWeightsChange = (next) => {
+        if (!user) return
+        setTeamWeights(next)
+        restartSearch({ teamWeights: next })
+    }
+
+    const handleActiveHoursChange = (enabled) => {
+        if (!user) return
+        setActiveHours(enabled)
+        updatePrefs(user.login, { activeHours: enabled })
+        restartSearch({ activeHours: enabled })
+    }
+
+    const handleInactiveDaysChange = (days) => {
+        if (!user) return
+        setInactiveDays(days)
+        updatePrefs(user.login, { inactiveDays: days })
+        restartSearch({ inactiveDays: days })
+    }
+
+    const handleDismiss = (match, reason = '') => {
+        if (!user) return
+        setDismissed(addDismissed(user.login, match, reason))
+        setFeedback(recordFeedback(user.login, match, 'dismiss'))
+        setDismissingLogin(null)
+    }
+
+    const loadOrgs = async (nextPage) => {
+        if (!user) return
+        const token = localStorage.getItem('githug_token')
+        if (!token) return
+
+        if (orgAbortRef.current) orgAbortRef.current.abort()
+        const controller = new AbortController()
+        orgAbortRef.current = controller
+
+        setOrgs(prev => ({ ...prev, items: nextPage === 1 ? [] : prev.items, loading: true }))
+        setAuthError('')
+        try {
+            const res = await searchOrgs(token, user, {
+                page: nextPage,
+                pageSize: PAGE_SIZE,
+                dismissedLogins: dismissed.map(d => d.login),
+                signal: controller.signal,
+            })
+            if (!controller.signal.aborted) {
+                setOrgs(prev => ({ items: [...prev.items, ...res.items], page: nextPage, hasMore: Boolean(res.hasMore), loading: false }))
+            }
+        } catch (e) {
+            if (!controller.signal.aborted) {
+                console.error(e)
+                setAuthError(e?.message || 'Organization search failed')
+            }
+            if (!controller.signal.aborted) setOrgs(prev => ({ ...prev, loading: false }))
+        }
+    }
+
+    const handleViewChange = (next) => {
+        setView(next)
+        if (next === 'orgs' && orgs.page === 0 && !orgs.loading) loadOrgs(1)
+    }
+
+    const handleRestore = (login) => {
+        if (!user) return
+        setDismissed(removeDismissed(user.login, login))
+        setFeedback(removeFeedback(user.login, login, 'dismiss'))
+    }
+
+    const applyWeights = (next) => {
+        if (!user) return
+        setWeights(next)
+        updatePrefs(user.login, { weights: next })
+        setMatches(prev => rerankMatches(prev, learnedWeights || next, diversity))
+    }
+
+    // Diversity only reorders what was found: no new search needed
+    const handleDiversityChange = (value) => {
+        if (!user) return
+        setDiversity(value)
+        updatePrefs(user.login, { diversity: value })
+        setMatches(prev => rerankMatches(prev, effectiveWeights, value))
+    }
+
+    const handleWeightChange = (key, value) => applyWeights({ ...weights, [key]: value })
+
+    const handleResetWeights = () => applyWeights({ ...defaultWeights })
+
+    // Learned weights replace the sliders while learning is on and there is enough feedback
+    const handleLearningChange = (enabled) => {
+        if (!user) return
+        setLearning(enabled)
+        updatePrefs(user.login, { learnWeights: enabled })
+        const learned = enabled && learnWeights(feedback, defaultWeights)
+        setMatches(prev => rerankMatches(prev, learned || weights, diversity))
+    }
+
+    const handleResetLearning = () => {
+        if (!user) return
+        setFeedback(clearFeedback(user.login))
+        setMatches(prev => rerankMatches(prev, weights, diversity))
+    }
+
+    const savedSet = new Set(saved.map(s => s.login))
+
+    const handleToggleSaved = (match) => {
+        if (!user) return
+        const login = match.login.toLowerCase()
+        if (savedSet.has(login)) {
+            setSaved(removeSaved(user.login, login))
+            setFeedback(removeFeedback(user.login, login, 'save'))
+            return
+        }
+        setSaved(addSaved(user.login, match))
+        setFeedback(recordFeedback(user.login, match, 'save'))
+    }
+
+    const handleUpdateSaved = (login, patch) => {
+        if (!user) return
+        setSaved(updateSaved(user.login, login, patch))
+    }
+
+    const handleRemoveSaved = (login) => {
+        if (!user) return
+        setSaved(removeSaved(user.login, login))
+        setFeedback(removeFeedback(user.login, login, 'save'))
+    }
+
+    const savedTags = [...new Set(saved.flatMap(s => s.tags))].sort()
+    const savedLanguages = [...new Set(saved.flatMap(s => s.user.languages || []))].sort()
+    const filteredSaved = saved.filter(s =>
+        (!savedTagFilter || s.tags.includes(savedTagFilter)) &&
+        (!savedLangFilter || (s.user.languages || []).includes(savedLangFilter))
+    )
+
+    const dismissedSet = new Set(dismissed.map(d => d.login))
+    const visibleMatches = matches.filter(m => !dismissedSet.has(m.login.toLowerCase()))
+
   // Show full-page loading spinner only when we don't have a user yet AND we're loading
   // Once user is set, we show the main UI with skeleton cards instead
   if (loading && !user) {
@@ -357,10 +1233,16 @@ function App() {
           {/* Expandable Controls Menu - Only when logged in */}
           {user && (
               <div className="group relative flex items-center">
-                  {/* Settings Icon - Always Visible */}
-                  <div className="p-3 rounded-full bg-secondary/50 backdrop-blur-sm border border-border/50 shadow-sm text-muted-foreground group-hover:text-foreground transition-colors">
+                  {/* Settings Icon - Always Visible, opens the preferences panel */}
+                  <button
+                      type="button"
+                      onClick={() => setPrefsOpen(open => !open)}
+                      aria-label="Preferences"
+                      aria-expanded={prefsOpen}
+                      className="p-3 rounded-full bg-secondary/50 backdrop-blur-sm border border-border/50 shadow-sm text-muted-foreground group-hover:text-foreground transition-colors"
+                  >
                       <Settings className="w-5 h-5" />
-                  </div>
+                  </button>
                   
                   {/* Expanded Icons - Show on Hover */}
                   <div className="absolute right-full flex items-center gap-2 pr-2 opacity-0 group-hover:opacity-100 translate-x-4 group-hover:translate-x-0 transition-all duration-300 pointer-events-none group-hover:pointer-events-auto">
@@ -390,6 +1272,140 @@ function App() {
                           {theme === 'dark' ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
                       </button>
                   </div>
+
+                  {/* Preferences Panel */}
+                  {prefsOpen && (
+                      <div role="dialog" aria-label="Preferences panel" className="absolute top-full right-0 mt-3 w-80 p-5 rounded-2xl bg-card border border-border/60 shadow-2xl space-y-4">
+                          <div className="flex items-center justify-between">
+                              <h3 className="font-bold">Scoring weights</h3>
+                              <button
+                                  type="button"
+                                  onClick={handleResetWeights}
+                                  className="flex items-center gap-1.5 text-xs font-semibold text-muted-foreground hover:text-foreground transition-colors"
+                              >
+                                  <RotateCcw className="w-3 h-3" />
+                                  Reset to defaults
+                              </button>
+                          </div>
+                          {Object.keys(defaultWeights).map((key) => (
+                              <label key={key} className="block space-y-1">
+                                  <div className="flex items-center justify-between text-xs font-medium">
+                                      <span>{WEIGHT_LABELS[key] || key}</span>
+                                      <span className="text-muted-foreground tabular-nums">{weights[key]}</span>
+                                  </div>
+                                  <input
+                                      type="range"
+                                      min={0}
+                                      max={50}
+                                      step={1}
+                                      value={weights[key]}
+                                      onChange={(e) => handleWeightChange(key, Number(e.target.value))}
+                                      disabled={Boolean(learnedWeights)}
+                                      aria-label={WEIGHT_LABELS[key] || key}
+                                      className="w-full accent-primary"
+                                  />
+                              </label>
+                          ))}
+                          <p className="text-[11px] text-muted-foreground">Changes re-rank the current matches instantly and apply to new searches.</p>
+                          <div className="space-y-2 pt-3 border-t border-border/60 text-xs">
+                              <label className="flex items-start gap-2">
+                                  <input
+                                      type="checkbox"
+                                      checked={learning}
+                                      onChange={(e) => handleLearningChange(e.target.checked)}
+                                      className="mt-0.5 accent-primary"
+                                  />
+                                  <span>
+                                      <span className="font-medium">Learn from my actions</span>
+                                      <span className="block text-[11px] text-muted-foreground">Follows and saves count as likes, hidden people as dislikes. Learning stays in this browser.</span>
+                                  </span>
+                              </label>
+                              {learning && (learnedWeights ? (
+                                  <ul aria-label="Learned weights" className="space-y-1">
+                                      {Object.keys(defaultWeights).map((key) => {
+                                          const delta = learnedWeights[key] - defaultWeights[key]
+                                          return (
+                                              <li key={key} className="flex items-center justify-between">
+                                                  <span>{WEIGHT_LABELS[key] || key}</span>
+                                                  <span className="tabular-nums text-muted-foreground">
+                                                      {defaultWeights[key]} → {learnedWeights[key]}
+                                                      <span className={`ml-1.5 font-semibold ${delta > 0 ? 'text-primary' : delta < 0 ? 'text-destructive' : ''}`}>
+                                                          {delta > 0 ? `+${delta}` : delta < 0 ? `−${-delta}` : '±0'}
+                                                      </span>
+                                                  </span>
+                                              </li>
+                                          )
+                                      })}
+                                  </ul>
+                              ) : (
+                                  <p className="text-[11px] text-muted-foreground">
+                                      Follow or save some people and hide some others to start learning ({feedback.length}/{MIN_EXAMPLES}).
+                                  </p>
+                              ))}
+                              {feedback.length > 0 && (
+                                  <button
+                                      type="button"
+                                      onClick={handleResetLearning}
+                                      className="flex items-center gap-1.5 font-semibold text-muted-foreground hover:text-foreground transition-colors"
+                                  >
+                                      <RotateCcw className="w-3 h-3" />
+                                      Reset learning ({feedback.length} {feedback.length === 1 ? 'action' : 'actions'})
+                                  </button>
+                              )}
+                          </div>
+                          <label className="block space-y-1 pt-3 border-t border-border/60">
+                              <div className="flex items-center justify-between text-xs font-medium">
+                                  <span>Diversity</span>
+                                  <span className="text-muted-foreground tabular-nums">{Math.round(diversity * 100)}%</span>
+                              </div>
+                              <input
+                                  type="range"
+                                  min={0}
+                                  max={100}
+                                  step={10}
+                                  value={Math.round(diversity * 100)}
+                                  onChange={(e) => handleDiversityChange(Number(e.target.value) / 100)}
+                                  aria-label="Diversity"
+                                  className="w-full accent-primary"
+                              />
+                              <span className="block text-[11px] text-muted-foreground">Mixes languages, locations and how people were found, keeping the best match first.</span>
+                          </label>
+                          <label className="flex items-start gap-2 text-xs">
+                              <input
+                                  type="checkbox"
+                                  checked={languageMode === 'bytes'}
+                                  onChange={(e) => handleLanguageModeChange(e.target.checked ? 'bytes' : 'primary')}
+                                  className="mt-0.5 accent-primary"
+                              />
+                              <span>
+                                  <span className="font-medium">Weigh languages by code size</span>
+                                  <span className="block text-[11px] text-muted-foreground">Compares bytes of code per language instead of each repo's main language. Uses more API quota; restarts the search.</span>
+                              </span>
+                          </label>
+                          <label className="flex items-start gap-2 text-xs">
+                              <input
+                                  type="checkbox"
+                                  checked={activeHours}
+                                  onChange={(e) => handleActiveHoursChange(e.target.checked)}
+                                  className="mt-0.5 accent-primary"
+                              />
+                              <span>
+                                  <span className="font-medium">Compare active hours</span>
+                                  <span className="block text-[11px] text-muted-foreground">Favors people who code at similar times of day, from their public activity. One extra API call per candidate; restarts the search.</span>
+                              </span>
+                          </label>
+                          <label className="flex items-center justify-between gap-2 text-xs">
+                              <span className="font-medium">Skip accounts inactive for</span>
+                              <select
+                                  value={inactiveDays}
+                                  onChange={(e) => handleInactiveDaysChange(Number(e.target.value))}
+                                  className="bg-secondary/50 border border-border/50 rounded-md px-2 py-1"
+                              >
+                                  {INACTIVITY_OPTIONS.map((o) => <option key={o.days} value={o.days}>{o.label}</option>)}
+                              </select>
+                          </label>
+                      </div>
+                  )}
               </div>
           )}
           
@@ -457,7 +1473,7 @@ function App() {
                                     <span>Finding matches...</span>
                                 ) : (
                                     <>
-                                        Found <span className="mx-2 inline-flex items-center justify-center px-4 py-1 rounded-lg bg-primary text-primary-foreground text-3xl md:text-5xl align-middle shadow-lg hover:scale-105 transition-transform duration-300">{matches.length}</span> New Users
+                                        Found <span className="mx-2 inline-flex items-center justify-center px-4 py-1 rounded-lg bg-primary text-primary-foreground text-3xl md:text-5xl align-middle shadow-lg hover:scale-105 transition-transform duration-300">{visibleMatches.length}</span> New Users
                                     </>
                                 )}
                             </h2>
@@ -472,9 +1488,20 @@ function App() {
                         </div>
 
                         {(searching || loadingMore) && (
-                            <div className="flex items-center gap-2 px-4 py-2 rounded-full bg-secondary/50 backdrop-blur-sm border border-border/50 shadow-sm animate-pulse">
+                            <div role="status" className="flex items-center gap-2 px-4 py-2 rounded-full bg-secondary/50 backdrop-blur-sm border border-border/50 shadow-sm animate-pulse">
                                 <div className="w-2 h-2 rounded-full bg-primary animate-ping" />
-                                <span className="text-xs font-semibold text-primary">{searching ? 'Analyzing...' : 'Loading more...'}</span>
+                                <span className="text-xs font-semibold text-primary">{progress || searching ? progressLabel(progress) : 'Loading more...'}</span>
+                                {progress?.phase === 'scoring' && progress.total > 0 && (
+                                    <div className="w-20 h-1 rounded-full bg-border/60 overflow-hidden">
+                                        <div className="h-full bg-primary transition-all" style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }} />
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {rateLimited && !authError && (
+                            <div className="text-sm text-muted-foreground border-l-2 border-primary/50 pl-3 py-1 bg-secondary/40 rounded-r-md">
+                                GitHub API quota is running low, so fewer candidates were scored. Try again in a few minutes.
                             </div>
                         )}
 
@@ -486,130 +1513,375 @@ function App() {
                     </div>
                 </div>
 
-                <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-                    {matches.map((match) => (
-                            <div key={match.id} className="group flex flex-col p-6 rounded-xl bg-card border border-border/60 dark:border-border/30 shadow-sm hover:shadow-2xl hover:shadow-primary/10 dark:hover:bg-card/80 hover:-translate-y-1 transition-all duration-300">
-                                {/* Match Score & Followers */}
-                                <div className="flex items-center justify-between mb-4">
-                                    {match.matchScore > 0 && (
-                                        <div className="flex items-center gap-1.5 text-xs font-bold text-primary bg-primary/10 py-1 px-2.5 rounded-full">
-                                            <Sparkles className="w-3 h-3" />
-                                            {match.matchScore}% match
-                                        </div>
-                                    )}
-                                    {/* Followers Count */}
-                                    <div className="flex items-center gap-1.5 text-xs font-medium text-muted-foreground bg-secondary/50 py-1 px-2.5 rounded-full border border-border/40">
-                                        <Users className="w-3 h-3" />
-                                        {((num) => {
-                                            if (!num) return 0;
-                                            if (num >= 1000) return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
-                                            return num;
-                                        })(match.followers)}
-                                    </div>
+                {/* View Tabs */}
+                <div className="flex items-center gap-2 -mt-6" role="tablist">
+                    {[
+                        { id: 'matches', label: 'Matches', count: visibleMatches.length },
+                        { id: 'saved', label: 'Saved', count: saved.length },
+                        { id: 'hidden', label: 'Hidden people', count: dismissed.length },
+                        { id: 'orgs', label: 'Organizations', count: orgs.items.length },
+                    ].map((tab) => (
+                        <button
+                            key={tab.id}
+                            type="button"
+                            role="tab"
+                            aria-selected={view === tab.id}
+                            onClick={() => handleViewChange(tab.id)}
+                            className={`px-4 py-2 rounded-full text-sm font-semibold border transition-colors ${view === tab.id ? 'bg-primary text-primary-foreground border-primary' : 'bg-secondary/50 text-muted-foreground border-border/50 hover:text-foreground'}`}
+                        >
+                            {tab.label}
+                            <span className="ml-2 text-xs opacity-70">{tab.count}</span>
+                        </button>
+                    ))}
+                </div>
+
+                {view === 'saved' && (
+                    <div className="space-y-4">
+                        {saved.length === 0 ? (
+                            <p className="text-sm text-muted-foreground">Star a match to keep it here, with your own notes and tags.</p>
+                        ) : (
+                            <>
+                                <div className="flex items-center gap-3 flex-wrap">
+                                    <Tag className="w-4 h-4 text-muted-foreground" />
+                                    <select
+                                        value={savedTagFilter}
+                                        onChange={(e) => setSavedTagFilter(e.target.value)}
+                                        aria-label="Filter saved by tag"
+                                        className="text-sm bg-secondary/50 border border-border/50 rounded-lg px-3 py-1.5"
+                                    >
+                                        <option value="">All tags</option>
+                                        {savedTags.map((tag) => <option key={tag} value={tag}>#{tag}</option>)}
+                                    </select>
+                                    <select
+                                        value={savedLangFilter}
+                                        onChange={(e) => setSavedLangFilter(e.target.value)}
+                                        aria-label="Filter saved by language"
+                                        className="text-sm bg-secondary/50 border border-border/50 rounded-lg px-3 py-1.5"
+                                    >
+                                        <option value="">All languages</option>
+                                        {savedLanguages.map((lang) => <option key={lang} value={lang}>{lang}</option>)}
+                                    </select>
                                 </div>
-                                
-                                <div className="flex items-center gap-4 mb-4">
-                                    <div className="relative">
-                                        <img src={match.avatar_url} alt={match.login} className="w-14 h-14 rounded-2xl object-cover ring-2 ring-border/50 dark:ring-border ring-offset-2 ring-offset-background group-hover:scale-105 transition-transform duration-500" />
-                                    </div>
-                                    <div className="min-w-0">
-                                        <h3 className="font-bold text-lg truncate leading-tight">{match.name || match.login}</h3>
-                                        <p className="text-muted-foreground text-sm truncate">@{match.login}</p>
-                                    </div>
+                                <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                                    {filteredSaved.map((entry) => (
+                                        <SavedCard key={entry.login} entry={entry} onUpdate={handleUpdateSaved} onRemove={handleRemoveSaved} />
+                                    ))}
                                 </div>
-                                
-                                <div className="flex-1 space-y-3">
-                                    {/* Languages - Enhanced Badges */}
-                                    {match.languages && match.languages.length > 0 && (
-                                        <div className="flex items-center gap-2 flex-wrap">
-                                            {match.languages.slice(0, 3).map((lang) => (
-                                                <span key={lang} className="text-xs font-semibold text-foreground/80 bg-secondary border border-border/50 py-1 px-2.5 rounded-md shadow-sm">
-                                                    {lang}
-                                                </span>
-                                            ))}
-                                            {match.languages.length > 3 && (
-                                                <span className="text-[10px] font-medium text-muted-foreground bg-secondary/30 py-0.5 px-1.5 rounded-md">
-                                                    +{match.languages.length - 3}
-                                                </span>
-                                            )}
+                                {filteredSaved.length === 0 && (
+                                    <p className="text-sm text-muted-foreground">No saved people match these filters.</p>
+                                )}
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {view === 'hidden' && (
+                    <div className="space-y-4">
+                        {dismissed.length === 0 ? (
+                            <p className="text-sm text-muted-foreground">Nobody hidden yet. Dismissed people show up here and are never suggested again.</p>
+                        ) : (
+                            <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                                {dismissed.map((d) => (
+                                    <div key={d.login} className="flex items-center gap-4 p-4 rounded-xl bg-card border border-border/60 dark:border-border/30">
+                                        {d.avatar_url && <img src={d.avatar_url} alt={d.login} className="w-10 h-10 rounded-xl object-cover" />}
+                                        <div className="min-w-0 flex-1">
+                                            <a href={d.html_url || `https://github.com/${d.login}`} target="_blank" rel="noreferrer" className="font-semibold truncate block hover:underline">
+                                                {d.name || d.login}
+                                            </a>
+                                            <p className="text-xs text-muted-foreground truncate">
+                                                {d.reason || 'No reason given'} · {new Date(d.dismissedAt).toLocaleDateString()}
+                                            </p>
                                         </div>
-                                    )}
-                                    
-                                    {/* Location */}
-                                    {match.location && (
-                                        <div className="flex items-center gap-2 text-xs font-medium text-muted-foreground">
-                                            <MapPin className="w-3 h-3" />
-                                            {match.location}
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRestore(d.login)}
+                                            aria-label={`Restore ${d.login}`}
+                                            className="flex items-center gap-1.5 px-3 py-2 rounded-lg bg-secondary hover:bg-secondary/80 text-xs font-semibold transition-colors"
+                                        >
+                                            <Undo2 className="w-3 h-3" />
+                                            Restore
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {view === 'orgs' && (
+                    <div className="space-y-4">
+                        <p className="flex items-center gap-2 text-sm text-muted-foreground">
+                            <Building2 className="w-4 h-4" />
+                            Organizations building with your stack, ranked by languages, topics, activity and members you follow.
+                        </p>
+                        <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                            {orgs.items.map((org) => <OrgCard key={org.login} org={org} />)}
+                            {orgs.loading && Array(3).fill(0).map((_, i) => <SkeletonCard key={`o-${i}`} />)}
+                        </div>
+                        {!orgs.loading && orgs.page > 0 && orgs.items.length === 0 && (
+                            <p className="text-sm text-muted-foreground">No matching organizations found yet.</p>
+                        )}
+                        {!orgs.loading && orgs.hasMore && (
+                            <div className="flex justify-center">
+                                <button
+                                    type="button"
+                                    onClick={() => loadOrgs(orgs.page + 1)}
+                                    className="px-6 py-3 rounded-2xl bg-secondary/80 hover:bg-secondary border border-border/60 text-sm font-bold transition-all"
+                                >
+                                    Load More Organizations
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {view === 'matches' && (
+                    <>
+                    <SeedSearch
+                        seed={seed}
+                        repo={repo}
+                        team={team}
+                        onSeed={handleSeedChange}
+                        onRepo={handleRepoChange}
+                        onTeam={handleTeamChange}
+                        teamWeights={teamWeights}
+                        onTeamWeights={handleTeamWeightsChange}
+                        disabled={isInitialSearch}
+                    />
+                    <FilterBar value={filters} onApply={handleApplyFilters} disabled={isInitialSearch} />
+
+                    <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                        {visibleMatches.map((match) => (
+                                <div key={match.id} className="group relative flex flex-col p-6 rounded-xl bg-card border border-border/60 dark:border-border/30 shadow-sm hover:shadow-2xl hover:shadow-primary/10 dark:hover:bg-card/80 hover:-translate-y-1 transition-all duration-300">
+                                    {/* Match Score & Followers */}
+                                    <div className="flex items-center justify-between mb-4">
+                                        {match.matchScore > 0 && (
+                                            <div className="flex items-center gap-1.5 text-xs font-bold text-primary bg-primary/10 py-1 px-2.5 rounded-full">
+                                                <Sparkles className="w-3 h-3" />
+                                                {match.matchScore}% match
+                                            </div>
+                                        )}
+                                        <div className="flex items-center gap-1.5 ml-auto">
+                                            {/* Followers Count */}
+                                            <div className="flex items-center gap-1.5 text-xs font-medium text-muted-foreground bg-secondary/50 py-1 px-2.5 rounded-full border border-border/40">
+                                                <Users className="w-3 h-3" />
+                                                {((num) => {
+                                                    if (!num) return 0;
+                                                    if (num >= 1000) return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
+                                                    return num;
+                                                })(match.followers)}
+                                            </div>
+                                            <button
+                                                type="button"
+                                                onClick={() => handleToggleSaved(match)}
+                                                aria-label={savedSet.has(match.login.toLowerCase()) ? `Remove ${match.login} from saved` : `Save ${match.login}`}
+                                                aria-pressed={savedSet.has(match.login.toLowerCase())}
+                                                className="p-1 rounded-full text-muted-foreground hover:text-primary hover:bg-secondary transition-colors"
+                                            >
+                                                <Star className={`w-4 h-4 ${savedSet.has(match.login.toLowerCase()) ? 'fill-primary text-primary' : ''}`} />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setDismissingLogin(match.login)}
+                                                aria-label={`Not interested in ${match.login}`}
+                                                className="p-1 rounded-full text-muted-foreground hover:text-foreground hover:bg-secondary transition-colors"
+                                            >
+                                                <X className="w-4 h-4" />
+                                            </button>
                                         </div>
-                                    )}
-                                    
-                                    {/* Match Reasons */}
-                                    {match.matchReasons && match.matchReasons.length > 0 && (
-                                        <div className="space-y-1">
-                                            {match.matchReasons.slice(0, 2).map((reason, i) => (
-                                                <p key={i} className="text-xs text-primary/80 flex items-center gap-1.5">
-                                                    <Star className="w-3 h-3" />
+                                    </div>
+
+                                    {/* Dismiss reason picker */}
+                                    {dismissingLogin === match.login && (
+                                        <div className="absolute inset-0 z-10 flex flex-col justify-center gap-2 p-6 rounded-xl bg-card/95 backdrop-blur-sm">
+                                            <p className="text-sm font-semibold flex items-center gap-2 mb-1">
+                                                <EyeOff className="w-4 h-4" />
+                                                Hide @{match.login}?
+                                            </p>
+                                            {DISMISS_REASONS.map((reason) => (
+                                                <button
+                                                    key={reason}
+                                                    type="button"
+                                                    onClick={() => handleDismiss(match, reason)}
+                                                    className="w-full py-2 rounded-lg bg-secondary hover:bg-secondary/80 text-sm font-medium transition-colors"
+                                                >
                                                     {reason}
-                                                </p>
+                                                </button>
                                             ))}
+                                            <button
+                                                type="button"
+                                                onClick={() => handleDismiss(match)}
+                                                className="w-full py-2 rounded-lg bg-primary text-primary-foreground text-sm font-semibold hover:opacity-90 transition-opacity"
+                                            >
+                                                Just hide
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setDismissingLogin(null)}
+                                                className="w-full py-1 text-xs text-muted-foreground hover:text-foreground transition-colors"
+                                            >
+                                                Cancel
+                                            </button>
                                         </div>
                                     )}
-                                    
-                                    {/* Bio */}
-                                    <p className="text-sm text-muted-foreground/80 line-clamp-2 leading-relaxed">
-                                        {match.bio || "This developer prefers to let their code speak for itself."}
-                                    </p>
-                                </div>
                                 
-                                <a 
-                                    href={match.html_url} 
-                                    target="_blank" 
-                                    rel="noreferrer"
-                                    className="mt-4 flex items-center justify-center gap-2 w-full py-2.5 rounded-xl bg-secondary hover:bg-secondary/80 text-secondary-foreground text-sm font-semibold transition-all"
-                                >
-                                    View Profile <ExternalLink className="w-3 h-3 opacity-50" />
-                                </a>
-                            </div>
-                        ))}
+                                    <div className="flex items-center gap-4 mb-4">
+                                        <div className="relative">
+                                            <img src={match.avatar_url} alt={match.login} className="w-14 h-14 rounded-2xl object-cover ring-2 ring-border/50 dark:ring-border ring-offset-2 ring-offset-background group-hover:scale-105 transition-transform duration-500" />
+                                        </div>
+                                        <div className="min-w-0">
+                                            <h3 className="font-bold text-lg truncate leading-tight">{match.name || match.login}</h3>
+                                            <p className="text-muted-foreground text-sm truncate">@{match.login}</p>
+                                            {match.closestMember && (
+                                                <p className="text-[11px] font-medium text-primary/80 truncate">Most like @{match.closestMember.login}</p>
+                                            )}
+                                        </div>
+                                    </div>
+                                
+                                    <div className="flex-1 space-y-3">
+                                        {/* Languages - Enhanced Badges */}
+                                        {match.languages && match.languages.length > 0 && (
+                                            <div className="flex items-center gap-2 flex-wrap">
+                                                {match.languages.slice(0, 3).map((lang) => (
+                                                    <span key={lang} className="text-xs font-semibold text-foreground/80 bg-secondary border border-border/50 py-1 px-2.5 rounded-md shadow-sm">
+                                                        {lang}
+                                                    </span>
+                                                ))}
+                                                {match.languages.length > 3 && (
+                                                    <span className="text-[10px] font-medium text-muted-foreground bg-secondary/30 py-0.5 px-1.5 rounded-md">
+                                                        +{match.languages.length - 3}
+                                                    </span>
+                                                )}
+                                            </div>
+                                        )}
+                                    
+                                        {/* Location */}
+                                        {match.location && (
+                                            <div className="flex items-center gap-2 text-xs font-medium text-muted-foreground">
+                                                <MapPin className="w-3 h-3" />
+                                                {match.location}
+                                            </div>
+                                        )}
+                                    
+                                        {/* Match Reasons */}
+                                        {match.matchReasons && match.matchReasons.length > 0 && (
+                                            <div className="space-y-1">
+                                                {match.matchReasons.slice(0, 2).map((reason, i) => (
+                                                    <p key={i} className="text-xs text-primary/80 flex items-center gap-1.5">
+                                                        <Star className="w-3 h-3" />
+                                                        {reason}
+                                                    </p>
+                                                ))}
+                                            </div>
+                                        )}
 
-                    {/* Show skeleton cards during initial search or while loading with no matches */}
-                    {isInitialSearch && (
-                        Array(12).fill(0).map((_, i) => <SkeletonCard key={`s-${i}`} />)
-                    )}
+                                        {/* Why this match */}
+                                        {match.matchBreakdown?.length > 0 && (
+                                            <div className="space-y-2">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setWhyOpen(whyOpen === match.login ? null : match.login)}
+                                                    aria-expanded={whyOpen === match.login}
+                                                    aria-controls={`why-${match.login}`}
+                                                    className="flex items-center gap-1 text-xs font-semibold text-muted-foreground hover:text-foreground transition-colors"
+                                                >
+                                                    Why this match
+                                                    <ChevronDown className={`w-3 h-3 transition-transform ${whyOpen === match.login ? 'rotate-180' : ''}`} />
+                                                </button>
+                                                {whyOpen === match.login && (
+                                                    <ScoreBreakdown id={`why-${match.login}`} breakdown={match.matchBreakdown} />
+                                                )}
+                                            </div>
+                                        )}
+                                    
+                                        {/* Bio */}
+                                        <p className="text-sm text-muted-foreground/80 line-clamp-2 leading-relaxed">
+                                            {match.bio || "This developer prefers to let their code speak for itself."}
+                                        </p>
+                                    </div>
+                                
+                                    <div className="mt-4 flex items-center gap-2">
+                                        <a 
+                                            href={match.html_url} 
+                                            target="_blank" 
+                                            rel="noreferrer"
+                                            className="flex-1 flex items-center justify-center gap-2 py-2.5 rounded-xl bg-secondary hover:bg-secondary/80 text-secondary-foreground text-sm font-semibold transition-all"
+                                        >
+                                            View Profile <ExternalLink className="w-3 h-3 opacity-50" />
+                                        </a>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleToggleFollow(match)}
+                                            disabled={followPending.has(match.login)}
+                                            aria-label={match.isFollowing ? `Unfollow ${match.login}` : `Follow ${match.login}`}
+                                            aria-pressed={Boolean(match.isFollowing)}
+                                            className={`flex items-center justify-center gap-1.5 px-3 py-2.5 rounded-xl text-sm font-semibold transition-all disabled:opacity-60 ${match.isFollowing ? 'bg-primary/10 text-primary hover:bg-destructive/10 hover:text-destructive' : 'bg-primary text-primary-foreground hover:opacity-90'}`}
+                                        >
+                                            {match.isFollowing ? <UserCheck className="w-4 h-4" /> : <UserPlus className="w-4 h-4" />}
+                                            {match.isFollowing ? 'Following' : 'Follow'}
+                                        </button>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleSeedChange(match.login)}
+                                        disabled={searching}
+                                        aria-label={`More like ${match.login}`}
+                                        className="mt-2 flex items-center justify-center gap-1.5 py-1.5 rounded-lg text-xs font-semibold text-muted-foreground hover:text-foreground hover:bg-secondary transition-colors disabled:opacity-60"
+                                    >
+                                        <Sparkles className="w-3 h-3" />
+                                        More like this
+                                    </button>
+                                </div>
+                            ))}
 
-                    {loadingMore && (
-                        Array(4).fill(0).map((_, i) => <SkeletonCard key={`m-${i}`} />)
-                    )}
-                </div>
+                        {/* Skeletons hold the rest of the first page while matches stream in */}
+                        {(isInitialSearch || searching) && (
+                            Array(Math.max(0, PAGE_SIZE - visibleMatches.length)).fill(0).map((_, i) => <SkeletonCard key={`s-${i}`} />)
+                        )}
 
-                {!searching && matches.length > 0 && (
-                    <div className="pt-2 flex flex-col items-center gap-3">
-                        {hasMore ? (
-                            <>
-                                <button
-                                    type="button"
-                                    onClick={handleLoadMore}
-                                    disabled={loadingMore}
-                                    className="w-full max-w-xs px-6 py-4 rounded-2xl bg-secondary/80 hover:bg-secondary border border-border/60 text-sm font-bold tracking-wide transition-all shadow-sm hover:shadow-md flex items-center justify-center gap-2 disabled:opacity-60"
-                                >
-                                    {loadingMore ? (
-                                        <>
-                                            <span className="w-4 h-4 rounded-full border-2 border-foreground/30 border-t-foreground animate-spin" />
-                                            Loading more...
-                                        </>
-                                    ) : (
-                                        <>
-                                            Load More Users
-                                        </>
-                                    )}
-                                </button>
-                            </>
-                        ) : (
-                            <div className="text-xs text-muted-foreground pt-4">
-                                {matches.length} new users found. People you follow are excluded.
-                            </div>
+                        {loadingMore && (
+                            Array(4).fill(0).map((_, i) => <SkeletonCard key={`m-${i}`} />)
                         )}
                     </div>
+
+                    {/* The quality summary matters most when it rejected everyone */}
+                    {!searching && !isInitialSearch && (
+                        <div className="pt-2 flex flex-col items-center gap-3">
+                            {visibleMatches.length === 0 ? (
+                                !authError && (
+                                    <div className="text-xs text-muted-foreground pt-4">
+                                        No new users found. Try wider filters or a longer inactivity period.
+                                    </div>
+                                )
+                            ) : hasMore ? (
+                                <>
+                                    <button
+                                        type="button"
+                                        onClick={handleLoadMore}
+                                        disabled={loadingMore}
+                                        className="w-full max-w-xs px-6 py-4 rounded-2xl bg-secondary/80 hover:bg-secondary border border-border/60 text-sm font-bold tracking-wide transition-all shadow-sm hover:shadow-md flex items-center justify-center gap-2 disabled:opacity-60"
+                                    >
+                                        {loadingMore ? (
+                                            <>
+                                                <span className="w-4 h-4 rounded-full border-2 border-foreground/30 border-t-foreground animate-spin" />
+                                                Loading more...
+                                            </>
+                                        ) : (
+                                            <>
+                                                Load More Users
+                                            </>
+                                        )}
+                                    </button>
+                                </>
+                            ) : (
+                                <div className="text-xs text-muted-foreground pt-4">
+                                    {visibleMatches.length} new users found. People you follow or hid are excluded.
+                                </div>
+                            )}
+                            <QualitySummary rejected={rejected} />
+                        </div>
+                    )}
+                    </>
                 )}
             </div>
         )}
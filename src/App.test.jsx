@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import App from './App'
 
@@ -8,10 +8,27 @@ vi.mock('./services/github', () => ({
   loginWithGithub: vi.fn(),
   getProfile: vi.fn(),
   searchUsers: vi.fn(),
+  searchOrgs: vi.fn(),
   clearCaches: vi.fn(),
+  followUser: vi.fn(),
+  unfollowUser: vi.fn(),
+  rescoreMatch: vi.fn((match) => match),
+  diversifyMatches: vi.fn((matches) => [...matches].sort((a, b) => b.matchScore - a.matchScore)),
+  getDefaultWeights: () => ({
+    languageOverlap: 30,
+    starredOwner: 20,
+    sharedStars: 15,
+    coFollowed: 14,
+    topicOverlap: 18,
+    bioKeyword: 12,
+    sameCountry: 8,
+    followerRatio: 7,
+    recentActivity: 5,
+    activeHours: 10,
+  }),
 }))
 
-import { loginWithGithub, getProfile, searchUsers, clearCaches } from './services/github'
+import { loginWithGithub, getProfile, searchUsers, searchOrgs, clearCaches, followUser, unfollowUser, rescoreMatch, diversifyMatches } from './services/github'
 
 // Helper to properly mock sessionStorage for each test
 const mockSessionStorage = () => {
@@ -202,6 +219,555 @@ describe('App Component', () => {
       })
     })
 
+    it('should follow a match optimistically from the card', async () => {
+      const user = userEvent.setup()
+      let resolveFollow
+      followUser.mockReturnValue(new Promise((r) => { resolveFollow = r }))
+      render(<App />)
+
+      const followButton = await screen.findByRole('button', { name: 'Follow match1' })
+      await user.click(followButton)
+
+      // Card flips before GitHub answers
+      expect(screen.getByRole('button', { name: 'Unfollow match1' })).toBeDisabled()
+      expect(followUser).toHaveBeenCalledWith('test_token', 'match1')
+
+      resolveFollow({ login: 'match1', following: true })
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'Unfollow match1' })).not.toBeDisabled()
+      })
+    })
+
+    it('should roll back the follow state when the request fails', async () => {
+      const user = userEvent.setup()
+      const error = Object.assign(new Error('Requires authentication'), { name: 'GitHubApiError', status: 401 })
+      followUser.mockRejectedValue(error)
+      render(<App />)
+
+      await user.click(await screen.findByRole('button', { name: 'Follow match2' }))
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'Follow match2' })).toBeInTheDocument()
+        expect(screen.getByText('Requires authentication')).toBeInTheDocument()
+      })
+      expect(unfollowUser).not.toHaveBeenCalled()
+    })
+
+    it('should hide a dismissed match and list it under Hidden people', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await user.click(await screen.findByRole('button', { name: 'Not interested in match1' }))
+      await user.click(screen.getByRole('button', { name: 'Not my stack' }))
+
+      expect(screen.queryByText('Match One')).not.toBeInTheDocument()
+      const stored = JSON.parse(localStorage.getItem('githug_dismissed_v1:testuser'))
+      expect(stored[0]).toMatchObject({ login: 'match1', reason: 'Not my stack' })
+      expect(stored[0].dismissedAt).toEqual(expect.any(Number))
+
+      await user.click(screen.getByRole('tab', { name: /Hidden people/i }))
+      expect(screen.getByText('Match One')).toBeInTheDocument()
+      expect(screen.getByText(/Not my stack/)).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Restore match1' }))
+      await user.click(screen.getByRole('tab', { name: /Matches/i }))
+      expect(screen.getByText('Match One')).toBeInTheDocument()
+      expect(JSON.parse(localStorage.getItem('githug_dismissed_v1:testuser'))).toEqual([])
+    })
+
+    it('should pass persisted dismissals to searchUsers', async () => {
+      localStorage.setItem('githug_dismissed_v1:testuser', JSON.stringify([
+        { login: 'spammer', reason: '', dismissedAt: 1 },
+      ]))
+      render(<App />)
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenCalledWith(
+          'test_token',
+          mockUser,
+          expect.objectContaining({ dismissedLogins: ['spammer'] })
+        )
+      })
+    })
+
+    it('should save a match with notes and tags and filter the Saved view', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await user.click(await screen.findByRole('button', { name: 'Save match1' }))
+      await user.click(screen.getByRole('button', { name: 'Save match2' }))
+      expect(screen.getByRole('button', { name: 'Remove match1 from saved' })).toBeInTheDocument()
+
+      await user.click(screen.getByRole('tab', { name: /Saved/i }))
+      await user.type(screen.getByLabelText('Add tag for match1'), 'Frontend{enter}')
+      await user.type(screen.getByLabelText('Notes for match1'), 'Ping about the UI kit')
+      await user.tab()
+
+      const stored = JSON.parse(localStorage.getItem('githug_saved_v1:testuser'))
+      const entry = stored.find((s) => s.login === 'match1')
+      expect(entry).toMatchObject({
+        score: 85,
+        reasons: ['Uses JavaScript'],
+        tags: ['frontend'],
+        notes: 'Ping about the UI kit',
+      })
+      expect(entry.user.html_url).toBe('https://github.com/match1')
+
+      await user.selectOptions(screen.getByLabelText('Filter saved by tag'), 'frontend')
+      expect(screen.getByText('Match One')).toBeInTheDocument()
+      expect(screen.queryByText('Match Two')).not.toBeInTheDocument()
+
+      await user.selectOptions(screen.getByLabelText('Filter saved by tag'), '')
+      await user.selectOptions(screen.getByLabelText('Filter saved by language'), 'TypeScript')
+      expect(screen.queryByText('Match One')).not.toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Remove match2 from saved' }))
+      expect(JSON.parse(localStorage.getItem('githug_saved_v1:testuser'))).toHaveLength(1)
+    })
+
+    it('should re-rank matches live and persist weights from the preferences panel', async () => {
+      const user = userEvent.setup()
+      // Pretend match2 wins whenever language overlap is switched off
+      rescoreMatch.mockImplementation((match, weights) => ({
+        ...match,
+        matchScore: weights.languageOverlap === 0 && match.login === 'match2' ? 95 : match.matchScore,
+      }))
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.click(screen.getByRole('button', { name: 'Preferences' }))
+      fireEvent.change(screen.getByRole('slider', { name: 'Language overlap' }), { target: { value: '0' } })
+
+      const names = screen.getAllByRole('heading', { level: 3 }).map((h) => h.textContent)
+      expect(names.indexOf('Match Two')).toBeLessThan(names.indexOf('Match One'))
+      expect(JSON.parse(localStorage.getItem('githug_prefs_v1:testuser')).weights.languageOverlap).toBe(0)
+
+      await user.click(screen.getByRole('button', { name: /Reset to defaults/i }))
+      expect(JSON.parse(localStorage.getItem('githug_prefs_v1:testuser')).weights.languageOverlap).toBe(30)
+      expect(screen.getByRole('slider', { name: 'Language overlap' })).toHaveValue('30')
+      rescoreMatch.mockImplementation((match) => match)
+    })
+
+    it('should pass persisted weights to searchUsers', async () => {
+      localStorage.setItem('githug_prefs_v1:testuser', JSON.stringify({ weights: { sameCountry: 40 } }))
+      render(<App />)
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenCalledWith(
+          'test_token',
+          mockUser,
+          expect.objectContaining({ weights: expect.objectContaining({ sameCountry: 40, languageOverlap: 30 }) })
+        )
+      })
+    })
+
+    it('should restart the search in byte-weighted language mode from the preferences panel', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.click(screen.getByRole('button', { name: 'Preferences' }))
+      await user.click(screen.getByRole('checkbox', { name: /Weigh languages by code size/i }))
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ page: 1, languageMode: 'bytes' }))
+      })
+      expect(JSON.parse(localStorage.getItem('githug_prefs_v1:testuser')).languageMode).toBe('bytes')
+    })
+
+    it('should find people like another account from the search box and from a card', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.type(screen.getByLabelText('Find people like'), '@octocat')
+      await user.click(screen.getByRole('button', { name: 'Find' }))
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ page: 1, seedLogin: 'octocat' }))
+      })
+      expect(await screen.findByText('People like @octocat')).toBeInTheDocument()
+
+      await user.click(await screen.findByRole('button', { name: 'More like match1' }))
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ seedLogin: 'match1' }))
+      })
+
+      await user.click(await screen.findByRole('button', { name: 'Back to people like me' }))
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ seedLogin: null }))
+      })
+    })
+
+    it('should not report a superseded seed search as failed', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      // Like the service: an aborted request rejects with a timeout error
+      searchUsers.mockImplementationOnce((token, u, opts) => new Promise((resolve, reject) => {
+        opts.signal.addEventListener('abort', () => reject(new Error('Request timed out')))
+      }))
+      await user.click(screen.getByRole('button', { name: 'More like match1' }))
+      searchUsers.mockResolvedValueOnce({ items: [mockMatches[0]], hasMore: false })
+      await user.click(screen.getByRole('button', { name: 'Back to people like me' }))
+
+      expect(await screen.findByText('Match One')).toBeInTheDocument()
+      expect(screen.queryByText('Request timed out')).not.toBeInTheDocument()
+    })
+
+    it('should explore a repository community from the search box', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.type(screen.getByLabelText('Find people like'), 'https://github.com/acme/lib')
+      await user.click(screen.getByRole('button', { name: 'Find' }))
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ page: 1, repo: 'acme/lib', seedLogin: null }))
+      })
+      expect(await screen.findByText('Around acme/lib')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Leave repository mode' }))
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ repo: null }))
+      })
+    })
+
+    it('should match a team and show the closest member on cards', async () => {
+      searchUsers.mockResolvedValue({
+        items: [{ ...mockMatches[0], closestMember: { login: 'ann', score: 70 } }],
+        hasMore: false,
+      })
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.type(screen.getByLabelText('Team members'), 'ann, bob')
+      await user.click(screen.getByRole('button', { name: 'Match team' }))
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ page: 1, team: 'ann, bob' }))
+      })
+      expect(await screen.findByText('Team: ann, bob')).toBeInTheDocument()
+      expect(await screen.findByText('Most like @ann')).toBeInTheDocument()
+    })
+
+    it('should leave team mode when finding people like one account', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.type(screen.getByLabelText('Team members'), 'ann, bob')
+      await user.click(screen.getByRole('button', { name: 'Match team' }))
+      await screen.findByText('Team: ann, bob')
+
+      await user.click(screen.getByRole('button', { name: 'More like match1' }))
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ seedLogin: 'match1', team: null }))
+      })
+      expect(screen.getByText('People like @match1')).toBeInTheDocument()
+      expect(screen.queryByText('Team: ann, bob')).not.toBeInTheDocument()
+    })
+
+    it('should weigh team members from the team weights form', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.type(screen.getByLabelText('Team members'), '@Ann, bob')
+      await user.click(screen.getByRole('button', { name: 'Match team' }))
+      await screen.findByText('Team: @Ann, bob')
+
+      const annWeight = screen.getByRole('spinbutton', { name: 'Weight of ann' })
+      expect(annWeight).toHaveValue(1)
+      await user.clear(annWeight)
+      await user.type(annWeight, '3')
+      await user.clear(screen.getByRole('spinbutton', { name: 'Weight of bob' }))
+      await user.type(screen.getByRole('spinbutton', { name: 'Weight of bob' }), '0.5')
+      await user.click(screen.getByRole('button', { name: 'Apply weights' }))
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({
+          page: 1, team: '@Ann, bob', teamWeights: { ann: 3, bob: 0.5 },
+        }))
+      })
+    })
+
+    it('should load organizations in their own tab with members and top repos', async () => {
+      searchOrgs.mockResolvedValue({
+        items: [{
+          id: 9,
+          login: 'gophers',
+          name: 'Gophers',
+          avatar_url: 'https://github.com/gophers.png',
+          html_url: 'https://github.com/gophers',
+          memberCount: 12,
+          membersCapped: false,
+          followedMembers: ['ann'],
+          topRepos: [{ name: 'tool', html_url: 'https://github.com/gophers/tool', language: 'Go', stars: 50 }],
+          matchScore: 77,
+          matchReasons: ['Builds with Go'],
+        }],
+        hasMore: false,
+      })
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      expect(searchOrgs).not.toHaveBeenCalled()
+      await user.click(screen.getByRole('tab', { name: /Organizations/ }))
+
+      expect(await screen.findByText('Gophers')).toBeInTheDocument()
+      expect(searchOrgs).toHaveBeenCalledWith('test_token', mockUser, expect.objectContaining({ page: 1 }))
+      expect(screen.getByText(/12 public members \(1 you follow\)/)).toBeInTheDocument()
+      expect(screen.getByRole('list', { name: 'Top repositories of gophers' })).toHaveTextContent('tool')
+      expect(screen.getByText('Builds with Go')).toBeInTheDocument()
+
+      // Switching back and forth does not search again
+      await user.click(screen.getByRole('tab', { name: /Matches/ }))
+      await user.click(screen.getByRole('tab', { name: /Organizations/ }))
+      expect(searchOrgs).toHaveBeenCalledTimes(1)
+    })
+
+    it('should summarize quality-gate rejections and let the inactivity period be tuned', async () => {
+      searchUsers.mockResolvedValue({ items: mockMatches, hasMore: false, rejected: { bot: 2, inactive: 1 } })
+      const user = userEvent.setup()
+      render(<App />)
+
+      await user.click(await screen.findByText('Quality filter skipped 3 accounts'))
+      expect(screen.getByText('Bots and automation accounts').nextSibling).toHaveTextContent('2')
+      expect(screen.getByText('Inactive for too long').nextSibling).toHaveTextContent('1')
+
+      await user.click(screen.getByRole('button', { name: 'Preferences' }))
+      await user.selectOptions(screen.getByLabelText('Skip accounts inactive for'), '730')
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ page: 1, quality: { inactiveDays: 730 } }))
+      })
+      expect(JSON.parse(localStorage.getItem('githug_prefs_v1:testuser')).inactiveDays).toBe(730)
+    })
+
+    it('should still summarize rejections when the quality filter rejected everyone', async () => {
+      searchUsers.mockResolvedValue({ items: [], hasMore: false, rejected: { bot: 2, inactive: 3 } })
+      render(<App />)
+
+      expect(await screen.findByText('Quality filter skipped 5 accounts')).toBeInTheDocument()
+      expect(screen.getByText(/No new users found/)).toBeInTheDocument()
+    })
+
+    it('should re-rank current matches for diversity without searching again', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      const calls = searchUsers.mock.calls.length
+      await user.click(screen.getByRole('button', { name: 'Preferences' }))
+      fireEvent.change(screen.getByRole('slider', { name: 'Diversity' }), { target: { value: '60' } })
+
+      expect(diversifyMatches).toHaveBeenLastCalledWith(expect.any(Array), 0.6)
+      expect(screen.getByText('60%')).toBeInTheDocument()
+      expect(searchUsers.mock.calls.length).toBe(calls)
+      expect(JSON.parse(localStorage.getItem('githug_prefs_v1:testuser')).diversity).toBe(0.6)
+    })
+
+    it('should learn weights from saves and dismissals and reset them', async () => {
+      const user = userEvent.setup()
+      const liked = { languageOverlap: 1, sameCountry: 0.2 }
+      const disliked = { languageOverlap: 0, sameCountry: 0.2 }
+      localStorage.setItem('githug_prefs_v1:testuser', JSON.stringify({ learnWeights: true }))
+      localStorage.setItem('githug_feedback_v1:testuser', JSON.stringify([
+        { login: 'a', action: 'follow', label: 1, factors: liked, at: 1 },
+        { login: 'b', action: 'dismiss', label: 0, factors: disliked, at: 2 },
+        { login: 'c', action: 'dismiss', label: 0, factors: disliked, at: 3 },
+        { login: 'd', action: 'dismiss', label: 0, factors: disliked, at: 4 },
+      ]))
+      searchUsers.mockResolvedValue({ items: mockMatches.map((m) => ({ ...m, matchFactors: liked })), hasMore: false })
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.click(screen.getByRole('button', { name: 'Preferences' }))
+      expect(screen.getByText(/start learning \(4\/5\)/)).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Save match1' }))
+      const stored = JSON.parse(localStorage.getItem('githug_feedback_v1:testuser'))
+      expect(stored[0]).toMatchObject({ login: 'match1', action: 'save', label: 1, factors: liked })
+
+      const learned = screen.getByRole('list', { name: 'Learned weights' })
+      expect(learned).toHaveTextContent(/Language overlap30 → \d+\+\d+/)
+      expect(screen.getByRole('slider', { name: 'Language overlap' })).toBeDisabled()
+
+      await user.click(screen.getByRole('button', { name: /Reset learning \(5 actions\)/ }))
+      expect(JSON.parse(localStorage.getItem('githug_feedback_v1:testuser'))).toEqual([])
+      expect(screen.queryByRole('list', { name: 'Learned weights' })).not.toBeInTheDocument()
+      expect(screen.getByRole('slider', { name: 'Language overlap' })).not.toBeDisabled()
+    })
+
+    it('should withdraw learning feedback when an action is undone', async () => {
+      const user = userEvent.setup()
+      followUser.mockResolvedValue({})
+      unfollowUser.mockResolvedValue({})
+      searchUsers.mockResolvedValue({ items: mockMatches.map((m) => ({ ...m, matchFactors: { languageOverlap: 1 } })), hasMore: false })
+      const feedback = () => JSON.parse(localStorage.getItem('githug_feedback_v1:testuser')).map((f) => `${f.action}:${f.login}`)
+      render(<App />)
+
+      await user.click(await screen.findByRole('button', { name: 'Follow match1' }))
+      await user.click(screen.getByRole('button', { name: 'Save match2' }))
+      await waitFor(() => expect(feedback()).toEqual(['save:match2', 'follow:match1']))
+
+      await user.click(screen.getByRole('button', { name: 'Unfollow match1' }))
+      await waitFor(() => expect(feedback()).toEqual(['save:match2']))
+      await user.click(screen.getByRole('button', { name: 'Remove match2 from saved' }))
+      expect(feedback()).toEqual([])
+
+      await user.click(screen.getByRole('button', { name: 'Not interested in match1' }))
+      await user.click(screen.getByRole('button', { name: 'Not my stack' }))
+      expect(feedback()).toEqual(['dismiss:match1'])
+      await user.click(screen.getByRole('tab', { name: /Hidden people/i }))
+      await user.click(screen.getByRole('button', { name: 'Restore match1' }))
+      expect(feedback()).toEqual([])
+    })
+
+    it('should restart the search comparing active hours when enabled', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      await user.click(screen.getByRole('button', { name: 'Preferences' }))
+      await user.click(screen.getByRole('checkbox', { name: /Compare active hours/i }))
+
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ page: 1, activeHours: true }))
+      })
+      expect(JSON.parse(localStorage.getItem('githug_prefs_v1:testuser')).activeHours).toBe(true)
+    })
+
+    it('should refuse a follower range whose minimum exceeds its maximum', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      const calls = searchUsers.mock.calls.length
+      await user.type(screen.getByLabelText('Min followers'), '500')
+      await user.type(screen.getByLabelText('Max followers'), '50')
+      await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Min followers must not exceed max followers')
+      expect(searchUsers.mock.calls.length).toBe(calls)
+      expect(screen.getByText('Match One')).toBeInTheDocument()
+
+      await user.clear(screen.getByLabelText('Min followers'))
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+    })
+
+    it('should re-run the search with filters from the filter bar and persist them', async () => {
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      searchUsers.mockResolvedValueOnce({ items: [mockMatches[1]], hasMore: false })
+
+      await user.type(screen.getByLabelText('Location'), 'Berlin')
+      await user.type(screen.getByLabelText('Languages'), 'Go, Rust')
+      await user.type(screen.getByLabelText('Max followers'), '50')
+      await user.selectOptions(screen.getByLabelText('Account age'), 'new')
+      await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+      const expected = {
+        location: 'Berlin',
+        languages: ['Go', 'Rust'],
+        minFollowers: null,
+        maxFollowers: 50,
+        minAccountAgeYears: null,
+        maxAccountAgeYears: 1,
+      }
+      await waitFor(() => {
+        expect(searchUsers).toHaveBeenLastCalledWith('test_token', mockUser, expect.objectContaining({ page: 1, filters: expected }))
+        expect(screen.queryByText('Match One')).not.toBeInTheDocument()
+        expect(screen.getByText('Match Two')).toBeInTheDocument()
+      })
+      expect(JSON.parse(localStorage.getItem('githug_prefs_v1:testuser')).filters).toEqual(expected)
+    })
+
+    it('should drop a page still loading when filters restart the search', async () => {
+      searchUsers.mockResolvedValue({ items: [mockMatches[0]], hasMore: true })
+      const user = userEvent.setup()
+      render(<App />)
+
+      await screen.findByText('Match One')
+      let finishPage
+      searchUsers.mockImplementationOnce(() => new Promise((resolve) => { finishPage = resolve }))
+      await user.click(screen.getByRole('button', { name: 'Load More Users' }))
+      await screen.findAllByText('Loading more...')
+
+      searchUsers.mockResolvedValueOnce({ items: [mockMatches[1]], hasMore: false })
+      await user.type(screen.getByLabelText('Location'), 'Berlin')
+      await user.click(screen.getByRole('button', { name: 'Apply' }))
+      await waitFor(() => {
+        expect(screen.getByText('Match Two')).toBeInTheDocument()
+      })
+
+      finishPage({ items: [{ ...mockMatches[0], id: 3, login: 'stale', name: 'Stale Match' }], hasMore: true })
+      await waitFor(() => {
+        expect(screen.queryAllByText('Loading more...')).toHaveLength(0)
+      })
+      expect(screen.queryByText('Stale Match')).not.toBeInTheDocument()
+      expect(screen.queryByRole('button', { name: 'Load More Users' })).not.toBeInTheDocument()
+    })
+
+    it('should tell the user when results were cut short by rate limits', async () => {
+      searchUsers.mockResolvedValue({ items: mockMatches, hasMore: true, rateLimited: true })
+      render(<App />)
+
+      expect(await screen.findByText(/quota is running low/i)).toBeInTheDocument()
+    })
+
+    it('should stream matches into the grid in ranked order while scoring', async () => {
+      let finish
+      searchUsers.mockImplementation((token, u, opts) => {
+        opts.onProgress({ phase: 'scoring', done: 1, total: 2 })
+        opts.onMatch(mockMatches[1])
+        opts.onMatch(mockMatches[0])
+        return new Promise((resolve) => { finish = resolve })
+      })
+      render(<App />)
+
+      expect(await screen.findByText('Scoring 1/2')).toBeInTheDocument()
+      const names = screen.getAllByText(/^Match (One|Two)$/).map((el) => el.textContent)
+      expect(names).toEqual(['Match One', 'Match Two'])
+
+      finish({ items: mockMatches, hasMore: false })
+      await waitFor(() => {
+        expect(screen.queryByText('Scoring 1/2')).not.toBeInTheDocument()
+      })
+      expect(screen.getByText('Match One')).toBeInTheDocument()
+    })
+
+    it('should explain a match factor by factor', async () => {
+      const explained = {
+        ...mockMatches[0],
+        matchBreakdown: [
+          { id: 'languageOverlap', fraction: 1, weight: 30, points: 30, evidence: ['JavaScript'] },
+          { id: 'sameCountry', fraction: 0.6, weight: 8, points: 4.8, evidence: ['Same country: Italy'] },
+          { id: 'recentActivity', fraction: 0, weight: 5, points: 0, evidence: [] },
+        ],
+      }
+      searchUsers.mockResolvedValue({ items: [explained], hasMore: false })
+      const user = userEvent.setup()
+      render(<App />)
+
+      const toggle = await screen.findByRole('button', { name: /Why this match/i })
+      expect(toggle).toHaveAttribute('aria-expanded', 'false')
+      await user.click(toggle)
+
+      expect(toggle).toHaveAttribute('aria-expanded', 'true')
+      expect(screen.getByRole('meter', { name: 'Proximity' })).toHaveAttribute('aria-valuenow', '4.8')
+      expect(screen.getByText('30 / 30')).toBeInTheDocument()
+      expect(screen.getByText('Same country: Italy')).toBeInTheDocument()
+      expect(screen.getByText('34.8 of 43 possible points')).toBeInTheDocument()
+    })
+
     it('should logout when logout button is clicked', async () => {
       const user = userEvent.setup()
       render(<App />)
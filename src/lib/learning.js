@@ -0,0 +1,49 @@
+// On-device preference learning
+// A small logistic regression over the per-factor match fractions of people I followed,
+// saved (positive) or hid (negative). Examples and the fit never leave the browser.
+
+export const MIN_EXAMPLES = 5
+
+const MAX_WEIGHT = 50       // same ceiling as the weight sliders
+const MAX_LOG_SCALE = 2     // a factor can grow or shrink by at most e² (~7x)
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z))
+
+/**
+ * Fit P(positive | factors) = sigmoid(bias + Σ coef[f] · fraction[f]) with plain SGD.
+ * Factors missing from an example (optional ones, e.g. activeHours) neither add
+ * to its logit nor receive a gradient from it. L2 keeps coefficients near 0 on little data.
+ */
+export const fitCoefficients = (examples, { epochs = 200, learningRate = 0.1, l2 = 0.05 } = {}) => {
+    const coef = {}
+    let bias = 0
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        for (const { factors, label } of examples) {
+            let z = bias
+            for (const [key, x] of Object.entries(factors)) z += (coef[key] || 0) * x
+            const error = sigmoid(z) - label
+            bias -= learningRate * error
+            for (const [key, x] of Object.entries(factors)) {
+                const c = coef[key] || 0
+                coef[key] = c - learningRate * (error * x + l2 * c)
+            }
+        }
+    }
+    return { bias, coef }
+}
+
+/**
+ * Personalized weights: each default scaled by e^coef, so factors that separate my
+ * follows and saves from my dismissals gain weight and the rest lose it.
+ * Returns null until there are MIN_EXAMPLES examples including both kinds.
+ */
+export const learnWeights = (examples, defaults) => {
+    const positives = examples.filter((e) => e.label === 1).length
+    if (examples.length < MIN_EXAMPLES || positives === 0 || positives === examples.length) return null
+
+    const { coef } = fitCoefficients(examples)
+    return Object.fromEntries(Object.entries(defaults).map(([key, weight]) => {
+        const logScale = Math.max(-MAX_LOG_SCALE, Math.min(MAX_LOG_SCALE, coef[key] || 0))
+        return [key, Math.max(0, Math.min(MAX_WEIGHT, Math.round(weight * Math.exp(logScale))))]
+    }))
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { fitCoefficients, learnWeights } from './learning'
+
+const DEFAULTS = { languageOverlap: 30, sameCountry: 8, activeHours: 10 }
+
+const example = (label, factors) => ({ label, factors })
+
+describe('fitCoefficients', () => {
+  it('should give positive coefficients to factors that separate likes from dislikes', () => {
+    const { coef } = fitCoefficients([
+      example(1, { languageOverlap: 1, sameCountry: 0 }),
+      example(1, { languageOverlap: 0.9, sameCountry: 1 }),
+      example(0, { languageOverlap: 0.1, sameCountry: 1 }),
+      example(0, { languageOverlap: 0, sameCountry: 0 }),
+    ])
+    expect(coef.languageOverlap).toBeGreaterThan(1)
+    expect(Math.abs(coef.sameCountry)).toBeLessThan(coef.languageOverlap)
+  })
+
+  it('should leave factors missing from every example untouched', () => {
+    const { coef } = fitCoefficients([example(1, { languageOverlap: 1 }), example(0, { languageOverlap: 0 })])
+    expect(coef.activeHours).toBeUndefined()
+  })
+})
+
+describe('learnWeights', () => {
+  it('should wait for enough examples of both kinds', () => {
+    const likes = Array.from({ length: 6 }, () => example(1, { languageOverlap: 1 }))
+    expect(learnWeights([...likes.slice(0, 3), example(0, { languageOverlap: 0 })], DEFAULTS)).toBeNull()
+    expect(learnWeights(likes, DEFAULTS)).toBeNull()
+  })
+
+  it('should scale the defaults and keep them within the slider range', () => {
+    const examples = [
+      ...Array.from({ length: 5 }, () => example(1, { languageOverlap: 1, sameCountry: 0 })),
+      ...Array.from({ length: 5 }, () => example(0, { languageOverlap: 0, sameCountry: 1 })),
+    ]
+    const weights = learnWeights(examples, DEFAULTS)
+    expect(weights.languageOverlap).toBeGreaterThan(30)
+    expect(weights.languageOverlap).toBeLessThanOrEqual(50)
+    expect(weights.sameCountry).toBeLessThan(8)
+    expect(weights.sameCountry).toBeGreaterThanOrEqual(0)
+    expect(weights.activeHours).toBe(10)
+  })
+})
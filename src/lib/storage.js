@@ -0,0 +1,163 @@
+// Durable, per-account browser storage (localStorage)
+// Every entry is namespaced by the GitHub login so shared machines don't mix data.
+
+const accountKey = (base, login) => `${base}:${(login || 'anonymous').toLowerCase()}`
+
+export const readAccountStore = (base, login, fallback) => {
+    try {
+        const raw = localStorage.getItem(accountKey(base, login))
+        if (!raw) return fallback
+        const parsed = JSON.parse(raw)
+        return parsed ?? fallback
+    } catch {
+        return fallback
+    }
+}
+
+export const writeAccountStore = (base, login, value) => {
+    try {
+        localStorage.setItem(accountKey(base, login), JSON.stringify(value))
+    } catch {
+        // ignore storage quota / privacy mode
+    }
+}
+
+// ─────────────────────────────────────────────────────────────
+// "Not interested" dismissals
+// ─────────────────────────────────────────────────────────────
+const DISMISSED_KEY = 'githug_dismissed_v1'
+
+export const readDismissed = (account) => {
+    const list = readAccountStore(DISMISSED_KEY, account, [])
+    if (!Array.isArray(list)) return []
+    return list.filter((d) => d && typeof d.login === 'string')
+}
+
+export const addDismissed = (account, user, reason = '') => {
+    const login = user.login.toLowerCase()
+    const entry = {
+        login,
+        name: user.name || '',
+        avatar_url: user.avatar_url || '',
+        html_url: user.html_url || '',
+        reason,
+        dismissedAt: Date.now(),
+    }
+    const next = [entry, ...readDismissed(account).filter((d) => d.login !== login)]
+    writeAccountStore(DISMISSED_KEY, account, next)
+    return next
+}
+
+export const removeDismissed = (account, login) => {
+    const next = readDismissed(account).filter((d) => d.login !== login.toLowerCase())
+    writeAccountStore(DISMISSED_KEY, account, next)
+    return next
+}
+
+// ─────────────────────────────────────────────────────────────
+// Saved shortlist (bookmarks with notes and tags)
+// ─────────────────────────────────────────────────────────────
+const SAVED_KEY = 'githug_saved_v1'
+
+const normalizeTags = (tags) =>
+    [...new Set((tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean))]
+
+export const readSaved = (account) => {
+    const list = readAccountStore(SAVED_KEY, account, [])
+    if (!Array.isArray(list)) return []
+    return list.filter((s) => s && s.user && typeof s.login === 'string')
+}
+
+export const addSaved = (account, match) => {
+    const login = match.login.toLowerCase()
+    const existing = readSaved(account).find((s) => s.login === login)
+    const entry = {
+        login,
+        user: match,
+        score: match.matchScore ?? 0,
+        reasons: match.matchReasons || [],
+        notes: existing?.notes || '',
+        tags: existing?.tags || [],
+        savedAt: existing?.savedAt || Date.now(),
+    }
+    const next = [entry, ...readSaved(account).filter((s) => s.login !== login)]
+    writeAccountStore(SAVED_KEY, account, next)
+    return next
+}
+
+export const updateSaved = (account, login, { notes, tags }) => {
+    const key = login.toLowerCase()
+    const next = readSaved(account).map((s) => {
+        if (s.login !== key) return s
+        return {
+            ...s,
+            ...(notes !== undefined && { notes: String(notes) }),
+            ...(tags !== undefined && { tags: normalizeTags(tags) }),
+        }
+    })
+    writeAccountStore(SAVED_KEY, account, next)
+    return next
+}
+
+export const removeSaved = (account, login) => {
+    const next = readSaved(account).filter((s) => s.login !== login.toLowerCase())
+    writeAccountStore(SAVED_KEY, account, next)
+    return next
+}
+
+// ─────────────────────────────────────────────────────────────
+// Preferences (scoring weights, ...)
+// ─────────────────────────────────────────────────────────────
+const PREFS_KEY = 'githug_prefs_v1'
+
+export const readPrefs = (account) => {
+    const prefs = readAccountStore(PREFS_KEY, account, {})
+    return prefs && typeof prefs === 'object' && !Array.isArray(prefs) ? prefs : {}
+}
+
+export const updatePrefs = (account, patch) => {
+    const next = { ...readPrefs(account), ...patch }
+    writeAccountStore(PREFS_KEY, account, next)
+    return next
+}
+
+// ─────────────────────────────────────────────────────────────
+// Feedback for learned weights (factor fractions of people I acted on)
+// ─────────────────────────────────────────────────────────────
+const FEEDBACK_KEY = 'githug_feedback_v1'
+const MAX_FEEDBACK = 500
+
+export const readFeedback = (account) => {
+    const list = readAccountStore(FEEDBACK_KEY, account, [])
+    if (!Array.isArray(list)) return []
+    return list.filter((f) => f && typeof f.login === 'string' && f.factors && typeof f.factors === 'object' && (f.label === 0 || f.label === 1))
+}
+
+// Follow / save are positive examples, dismiss is negative; the latest action per login wins.
+export const recordFeedback = (account, match, action) => {
+    if (!match.matchFactors) return readFeedback(account)
+    const login = match.login.toLowerCase()
+    const entry = {
+        login,
+        action,
+        label: action === 'dismiss' ? 0 : 1,
+        factors: match.matchFactors,
+        at: Date.now(),
+    }
+    const next = [entry, ...readFeedback(account).filter((f) => f.login !== login)].slice(0, MAX_FEEDBACK)
+    writeAccountStore(FEEDBACK_KEY, account, next)
+    return next
+}
+
+// Undoing an action (restore, unfollow, unsave) withdraws the example it recorded
+export const removeFeedback = (account, login, action) => {
+    const key = login.toLowerCase()
+    const next = readFeedback(account).filter((f) => !(f.login === key && f.action === action))
+    writeAccountStore(FEEDBACK_KEY, account, next)
+    return next
+}
+
+export const clearFeedback = (account) => {
+    writeAccountStore(FEEDBACK_KEY, account, [])
+    return []
+}
@@ -2,12 +2,15 @@
  * GitHug – GitHub matching service
  * Optimized for performance and match quality
  */
+import { createHttpCache } from './httpCache';
+import { normalizeLocation, compareLocations } from './location';
 
 // ─────────────────────────────────────────────────────────────
 // Constants
 // ─────────────────────────────────────────────────────────────
 const GITHUB_AUTH_URL = 'https://github.com/login/oauth/authorize';
 const GITHUB_API_URL = 'https://api.github.com';
+const GITHUB_GRAPHQL_URL = 'https://api.github.com/graphql';
 
 const CONFIG = Object.freeze({
     timeoutMs: 10_000,
@@ -16,19 +19,59 @@ const CONFIG = Object.freeze({
     cacheTtlMs: 5 * 60_000,
     cacheMaxSize: 500,
     maxCandidatesToScore: 30,
+    maxScoringRounds: 2,
+    searchPerPage: 20,
+    graphqlBatchSize: 15,
+    maxRateLimitWaitMs: 10_000,   // wait this long for a bucket to refill, fail beyond
+    maxRetries: 2,                // retries after retry-after / short resets
+    rateLimitPaceBelow: 5,        // start spreading requests when this few remain
+    rateLimitReserve: 20,         // core calls kept back for profile/follow requests
     reposPerUser: 15,
     starredPerUser: 25,
+    stargazerRepos: 3,            // niche starred repos sampled for fellow stargazers
+    stargazersPerRepo: 30,
+    networkSample: 10,            // followings whose own following lists are sampled
+    networkPerUser: 50,
+    networkCandidates: 20,        // top co-followed people added to the pool
+    languageRepos: 5,             // own repos read for byte-weighted language vectors
+    candidateLanguageRepos: 3,    // same, per candidate on the REST fallback
+    minEventsForHours: 10,        // fewer public events than this: no activity-hour profile
+    repoContributors: 30,         // repository mode: top contributors sampled
+    repoStargazers: 30,           // repository mode: most recent stargazers sampled
+    maxListPage: 400,             // GitHub answers 422 past this page of a list (stargazers, ...)
+    repoIssues: 50,               // repository mode: recent issues/PRs whose authors are sampled
+    maxTeamMembers: 10,           // team mode: members profiled into the aggregate
+    orgReposPerOrg: 30,           // organizations: recent repos analyzed per org
+    orgsPerRound: 8,              // organizations: orgs profiled per scoring round (3 calls each)
 });
 
-// Scoring weights (total max ~100)
+// Candidate quality gate (see qualityIssue); searchUsers({ quality }) overrides these
+const QUALITY = Object.freeze({
+    inactiveDays: 365,            // no push for longer than this: inactive (0 disables the check)
+    followFarmMinFollowing: 1000, // follow-for-follow check only applies above this many followings...
+    followFarmRatio: 20,          // ...when following / followers exceeds this
+});
+
+// Scoring weights (relative: combineFactors normalizes the total)
 const WEIGHTS = Object.freeze({
     languageOverlap: 30,      // primary tech stack match
     starredOwner: 20,         // you admire their work
+    sharedStars: 15,          // starred the same repos
+    coFollowed: 14,           // followed by people you follow
     topicOverlap: 18,         // shared interests
     bioKeyword: 12,           // bio mentions your topics
-    sameCountry: 8,           // geographic proximity
+    sameCountry: 8,           // geographic proximity (same city > country > region)
     followerRatio: 7,         // influence indicator
     recentActivity: 5,        // actively coding
+    activeHours: 10,          // codes at similar hours (opt-in, see searchUsers)
+});
+
+// Organization scoring weights (see calculateOrgScore)
+const ORG_WEIGHTS = Object.freeze({
+    languageOverlap: 40,      // their repos use my stack
+    topicOverlap: 25,         // their repos share my topics
+    followedMembers: 20,      // public members I already follow
+    recentActivity: 15,       // actively maintained
 });
 
 // ─────────────────────────────────────────────────────────────
@@ -75,6 +118,19 @@ class LRUCache {
         return this.get(key) !== undefined;
     }
 
+    delete(key) {
+        return this.cache.delete(key);
+    }
+
+    /**
+     * Drop every entry whose key starts with prefix (e.g. `me:following:`)
+     */
+    deletePrefix(prefix) {
+        for (const key of [...this.cache.keys()]) {
+            if (key.startsWith(prefix)) this.cache.delete(key);
+        }
+    }
+
     clear() {
         this.cache.clear();
     }
@@ -84,25 +140,30 @@ const profileCache = new LRUCache();
 const searchCache = new LRUCache(200, 3 * 60_000);
 const userCache = new LRUCache();
 
+// Persistent layer under fetchGitHub (survives reloads, revalidated with ETags)
+const httpCache = createHttpCache();
+
 // ─────────────────────────────────────────────────────────────
 // Error handling
 // ─────────────────────────────────────────────────────────────
 class GitHubApiError extends Error {
-    constructor(message, { status, rateLimit, requestId } = {}) {
+    constructor(message, { status, rateLimit, requestId, retryAfterMs } = {}) {
         super(message);
         this.name = 'GitHubApiError';
         this.status = status;
         this.rateLimit = rateLimit;
         this.requestId = requestId;
+        this.retryAfterMs = retryAfterMs;
     }
 }
 
 // ─────────────────────────────────────────────────────────────
 // HTTP utilities
 // ─────────────────────────────────────────────────────────────
-const buildHeaders = (token) => ({
+const buildHeaders = (token, { json = false } = {}) => ({
     Accept: 'application/vnd.github+json',
     'X-GitHub-Api-Version': '2022-11-28',
+    ...(json && { 'Content-Type': 'application/json' }),
     ...(token && { Authorization: `Bearer ${token}` }),
 });
 
@@ -111,10 +172,137 @@ const parseRateLimit = (headers) => ({
     reset: Number(headers.get('x-ratelimit-reset')) || 0,
 });
 
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new GitHubApiError('Request aborted'));
+    const timeoutId = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(new GitHubApiError('Request aborted'));
+    }, { once: true });
+});
+
+// GitHub meters search (30/min) and GraphQL separately from the core REST bucket
+const resourceFor = (url) => {
+    if (url.startsWith(`${GITHUB_API_URL}/search/`)) return 'search';
+    if (url.startsWith(GITHUB_GRAPHQL_URL)) return 'graphql';
+    return 'core';
+};
+
+// ─────────────────────────────────────────────────────────────
+// Request scheduler (rate-limit aware)
+//
+// Every GitHub call goes through here: bounded concurrency, per-bucket
+// budgets learned from x-ratelimit-* headers, pacing when a bucket runs low
+// and pauses requested by retry-after (secondary rate limits).
+// ─────────────────────────────────────────────────────────────
+class RequestScheduler {
+    constructor({ concurrency = CONFIG.concurrency, maxWaitMs = CONFIG.maxRateLimitWaitMs } = {}) {
+        this.concurrency = concurrency;
+        this.maxWaitMs = maxWaitMs;
+        this.active = 0;
+        this.waiting = [];
+        this.buckets = {};       // resource -> { limit, remaining, reset (epoch sec) }
+        this.pausedUntil = {};   // resource -> epoch ms
+        this.nextStartAt = {};   // resource -> epoch ms (pacing reservations)
+    }
+
+    /**
+     * Remaining calls in the current window (Infinity when unknown or the window has reset)
+     */
+    remaining(resource) {
+        const bucket = this.buckets[resource];
+        if (!bucket || Date.now() >= bucket.reset * 1000) return Infinity;
+        return bucket.remaining;
+    }
+
+    update(fallbackResource, headers) {
+        const remaining = headers?.get('x-ratelimit-remaining');
+        if (remaining == null) return;
+        const resource = headers.get('x-ratelimit-resource') || fallbackResource;
+        this.buckets[resource] = {
+            limit: Number(headers.get('x-ratelimit-limit')) || 0,
+            remaining: Number(remaining),
+            reset: Number(headers.get('x-ratelimit-reset')) || 0,
+        };
+    }
+
+    // Budgets are per token: forget them when the account changes
+    reset() {
+        this.buckets = {};
+        this.pausedUntil = {};
+        this.nextStartAt = {};
+    }
+
+    pause(resource, ms) {
+        this.pausedUntil[resource] = Math.max(this.pausedUntil[resource] || 0, Date.now() + ms);
+    }
+
+    /**
+     * Reserve a start time for the next request on a bucket
+     */
+    reserve(resource) {
+        const now = Date.now();
+        let earliest = Math.max(now, this.pausedUntil[resource] || 0);
+        let interval = 0;
+
+        const bucket = this.buckets[resource];
+        if (bucket && now < bucket.reset * 1000) {
+            const windowEnd = bucket.reset * 1000;
+            if (bucket.remaining <= 0) earliest = Math.max(earliest, windowEnd);
+            // Spread the last few calls across what's left of the window
+            else if (bucket.remaining < CONFIG.rateLimitPaceBelow) interval = (windowEnd - now) / (bucket.remaining + 1);
+        }
+
+        const startAt = Math.max(earliest, (this.nextStartAt[resource] || 0) + interval);
+        if (startAt - now > this.maxWaitMs) {
+            const waitSec = Math.ceil((startAt - now) / 1000);
+            throw new GitHubApiError(`Rate limit exceeded. Retry in ${waitSec}s.`, { status: 403, rateLimit: bucket });
+        }
+        this.nextStartAt[resource] = startAt;
+        if (bucket && bucket.remaining > 0) bucket.remaining -= 1;
+        return startAt - now;
+    }
+
+    async acquire() {
+        if (this.active < this.concurrency) {
+            this.active += 1;
+            return;
+        }
+        await new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) next();
+        else this.active -= 1;
+    }
+
+    async schedule(resource, task, { signal } = {}) {
+        for (let attempt = 0; ; attempt += 1) {
+            const delay = this.reserve(resource);
+            if (delay > 0) await sleep(delay, signal);
+
+            await this.acquire();
+            try {
+                return await task();
+            } catch (err) {
+                const retryable = err instanceof GitHubApiError && err.retryAfterMs != null;
+                if (!retryable || attempt >= CONFIG.maxRetries || err.retryAfterMs > this.maxWaitMs) throw err;
+                this.pause(resource, err.retryAfterMs);
+            } finally {
+                this.release();
+            }
+        }
+    }
+}
+
+const scheduler = new RequestScheduler();
+
 /**
- * Fetch JSON from GitHub API with timeout and error handling
+ * Single HTTP round-trip with timeout and error handling (no scheduling).
+ * Resolves to { status, data, headers }; 204 and 304 carry no data.
  */
-const fetchGitHub = async (url, { token, signal, timeoutMs = CONFIG.timeoutMs } = {}) => {
+const requestGitHub = async (url, { token, signal, method = 'GET', body, headers, timeoutMs = CONFIG.timeoutMs } = {}) => {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
@@ -126,20 +314,41 @@ const fetchGitHub = async (url, { token, signal, timeoutMs = CONFIG.timeoutMs }
 
     try {
         const res = await fetch(url, {
-            headers: buildHeaders(token),
+            method,
+            headers: { ...buildHeaders(token, { json: body !== undefined }), ...headers },
+            ...(body !== undefined && { body: JSON.stringify(body) }),
             signal: controller.signal,
         });
-
-        if (res.ok) return res.json();
+        scheduler.update(resourceFor(url), res.headers);
+
+        // 204 No Content (e.g. follow/unfollow) and 304 Not Modified have no body to parse
+        if (res.status === 204 || res.status === 304) return { status: res.status, data: null, headers: res.headers };
+        if (res.ok) return { status: res.status, data: await res.json(), headers: res.headers };
+
+        // Secondary rate limits: GitHub tells us how long to back off
+        const retryAfter = res.headers?.get('retry-after');
+        if ((res.status === 403 || res.status === 429) && retryAfter != null) {
+            const retryAfterSec = Number(retryAfter);
+            const retryAfterMs = (Number.isFinite(retryAfterSec) ? retryAfterSec : 60) * 1000;
+            throw new GitHubApiError(`Secondary rate limit. Retry in ${Math.ceil(retryAfterMs / 1000)}s.`, {
+                status: res.status,
+                rateLimit: parseRateLimit(res.headers),
+                retryAfterMs,
+            });
+        }
 
         const rateLimit = parseRateLimit(res.headers);
-        if (res.status === 403 && rateLimit.remaining === 0) {
+        if ((res.status === 403 || res.status === 429) && rateLimit.remaining === 0) {
             const waitSec = Math.max(0, rateLimit.reset - Math.floor(Date.now() / 1000));
-            throw new GitHubApiError(`Rate limit exceeded. Retry in ${waitSec}s.`, { status: 403, rateLimit });
+            throw new GitHubApiError(`Rate limit exceeded. Retry in ${waitSec}s.`, {
+                status: res.status,
+                rateLimit,
+                retryAfterMs: waitSec * 1000,
+            });
         }
 
-        const body = await res.json().catch(() => ({}));
-        throw new GitHubApiError(body.message || `GitHub API error (${res.status})`, { status: res.status });
+        const errorBody = await res.json().catch(() => ({}));
+        throw new GitHubApiError(errorBody.message || `GitHub API error (${res.status})`, { status: res.status });
     } catch (err) {
         if (err.name === 'AbortError') throw new GitHubApiError('Request timed out');
         if (err instanceof GitHubApiError) throw err;
@@ -149,6 +358,57 @@ const fetchGitHub = async (url, { token, signal, timeoutMs = CONFIG.timeoutMs }
     }
 };
 
+const scheduleRequest = (url, opts) =>
+    scheduler.schedule(resourceFor(url), () => requestGitHub(url, opts), { signal: opts.signal });
+
+// User and repo data changes slowly: serve the stored copy, refresh in the background.
+// Only /users/{login}, /users/{login}/repos and /repos/{owner}/{repo}: lists under a repo
+// (stargazers, contributors, issues) must be current.
+const STALE_WHILE_REVALIDATE = /^https:\/\/api\.github\.com\/(users\/[^/?]+(\/repos)?|repos\/[^/?]+\/[^/?]+)(\?|$)/;
+
+/**
+ * Conditional GET: send the stored validators, reuse the stored body on 304
+ */
+const revalidate = async (url, opts, cached) => {
+    const headers = {
+        ...(cached?.etag && { 'If-None-Match': cached.etag }),
+        ...(cached?.lastModified && { 'If-Modified-Since': cached.lastModified }),
+    };
+    const res = await scheduleRequest(url, { ...opts, headers });
+    if (res.status === 304 && cached) return cached.data;
+
+    const etag = res.headers?.get('etag');
+    const lastModified = res.headers?.get('last-modified');
+    if (etag || lastModified) {
+        httpCache.set(url, { data: res.data, etag, lastModified, storedAt: Date.now() });
+    }
+    return res.data;
+};
+
+const revalidating = new Set();
+
+/**
+ * Fetch JSON from GitHub API through the rate-limit aware scheduler.
+ * GETs go through the persistent HTTP cache (ETag / Last-Modified revalidation).
+ */
+const fetchGitHub = async (url, opts = {}) => {
+    if ((opts.method || 'GET') !== 'GET') return (await scheduleRequest(url, opts)).data;
+
+    const cached = await httpCache.get(url);
+    if (cached && STALE_WHILE_REVALIDATE.test(url)) {
+        if (!revalidating.has(url)) {
+            revalidating.add(url);
+            // Detached from the caller's signal: the refresh outlives an aborted page
+            revalidate(url, { token: opts.token }, cached)
+                .catch(() => {})
+                .finally(() => revalidating.delete(url));
+        }
+        return cached.data;
+    }
+
+    return revalidate(url, opts, cached);
+};
+
 /**
  * Run async tasks with bounded concurrency
  */
@@ -211,10 +471,101 @@ const analyzeRepos = (repos) => {
 };
 
 /**
- * Build complete user profile (cached)
+ * Sum `/repos/{owner}/{repo}/languages` byte counts over the most recently pushed own repos
+ */
+const fetchLanguageBytes = async (token, repos, { signal, limit } = {}) => {
+    const own = repos.filter((r) => r.full_name && !r.fork && !r.archived).slice(0, limit);
+    const counts = await parallel(own, CONFIG.concurrency, (repo) =>
+        fetchGitHub(`${GITHUB_API_URL}/repos/${repo.full_name}/languages`, { token, signal }).catch(() => ({}))
+    );
+
+    const bytes = {};
+    for (const languages of counts) {
+        for (const [lang, size] of Object.entries(languages || {})) {
+            bytes[lang] = (bytes[lang] || 0) + size;
+        }
+    }
+    return bytes;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Activity hours (from public event timestamps)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * 24-bucket histogram of UTC hours; null when there are too few events to say anything
+ */
+const activityHistogram = (events) => {
+    const hours = Array(24).fill(0);
+    let count = 0;
+    for (const event of Array.isArray(events) ? events : []) {
+        const time = Date.parse(event?.created_at);
+        if (Number.isNaN(time)) continue;
+        hours[new Date(time).getUTCHours()] += 1;
+        count += 1;
+    }
+    return count >= CONFIG.minEventsForHours ? hours : null;
+};
+
+/**
+ * Approximate UTC offset: the quietest 6-hour window is taken to be 02:00-08:00 local time
+ */
+const inferUtcOffset = (hours) => {
+    if (!hours) return null;
+    let quietest = 0;
+    let quietestSum = Infinity;
+    for (let start = 0; start < 24; start += 1) {
+        let sum = 0;
+        for (let i = 0; i < 6; i += 1) sum += hours[(start + i) % 24];
+        if (sum < quietestSum) {
+            quietestSum = sum;
+            quietest = start;
+        }
+    }
+    const offset = (2 - quietest + 24) % 24;
+    return offset > 12 ? offset - 24 : offset;
+};
+
+/**
+ * Share of activity at overlapping hours (histogram intersection, 0..1).
+ * Each hour is smoothed into its neighbours so "a bit later" still counts.
+ */
+const hoursOverlap = (a, b) => {
+    const smooth = (hours) => {
+        const spread = hours.map((_, h) => hours[h] * 0.5 + (hours[(h + 23) % 24] + hours[(h + 1) % 24]) * 0.25);
+        const total = spread.reduce((sum, n) => sum + n, 0);
+        return spread.map((n) => n / total);
+    };
+    const p = smooth(a);
+    const q = smooth(b);
+    return p.reduce((sum, n, h) => sum + Math.min(n, q[h]), 0);
+};
+
+// Last 100 public events (revalidated through the HTTP cache, so repeats are cheap)
+const getPublicEvents = (token, login, { signal } = {}) =>
+    fetchGitHub(`${GITHUB_API_URL}/users/${encodeURIComponent(login)}/events/public?per_page=100`, { token, signal })
+        .then((events) => (Array.isArray(events) ? events : []))
+        .catch(() => []);
+
+const getActivityHours = async (token, login, { signal } = {}) => {
+    const cacheKey = `hours:${login.toLowerCase()}`;
+    const cached = userCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const hours = activityHistogram(await getPublicEvents(token, login, { signal }));
+    userCache.set(cacheKey, hours);
+    return hours;
+};
+
+const formatOffset = (offset) => `UTC${offset >= 0 ? '+' : '-'}${Math.abs(offset)}`;
+
+/**
+ * Build complete user profile (cached).
+ * With languageBytes, also builds a byte-weighted language vector (one call per repo);
+ * with activeHours, an activity-hour histogram from public events (one call).
  */
-const buildProfile = async (token, user, { signal } = {}) => {
-    const cacheKey = `profile:${user.login}`;
+const buildProfile = async (token, user, { signal, languageBytes = false, activeHours = false } = {}) => {
+    const cacheKey = `profile:${user.login}${languageBytes ? ':bytes' : ''}${activeHours ? ':hours' : ''}`;
     const cached = profileCache.get(cacheKey);
     if (cached) return cached;
 
@@ -230,16 +581,26 @@ const buildProfile = async (token, user, { signal } = {}) => {
     const starredLanguages = [...new Set(starred.map((r) => r.language).filter(Boolean))];
     const starredTopics = [...new Set(starred.flatMap((r) => r.topics || []))];
     const starredRepoIds = new Set(starred.map((r) => r.id));
+    // Fewest stars first: fellow stargazers of niche repos say more than those of hits
+    const nicheStarred = starred
+        .filter((r) => r.full_name && r.stargazers_count > 1 && r.owner?.login?.toLowerCase() !== user.login.toLowerCase())
+        .sort((a, b) => a.stargazers_count - b.stargazers_count)
+        .slice(0, 5)
+        .map((r) => ({ id: r.id, name: r.full_name }));
 
     const profile = {
         login: user.login.toLowerCase(),
         location: user.location || '',
+        place: normalizeLocation(user.location),
         languages,
         topics,
         starredOwners,
         starredLanguages: starredLanguages.slice(0, 10),
         starredTopics: starredTopics.slice(0, 30),
         starredRepoIds,
+        nicheStarred,
+        languageVector: languageBytes ? await fetchLanguageBytes(token, repos, { signal, limit: CONFIG.languageRepos }) : null,
+        activityHours: activeHours ? await getActivityHours(token, user.login, { signal }) : null,
         recentPushAt: repos[0]?.pushed_at || null,
     };
 
@@ -247,6 +608,62 @@ const buildProfile = async (token, user, { signal } = {}) => {
     return profile;
 };
 
+/**
+ * Aggregate team profile: members' ranked lists are merged by weighted position,
+ * vectors and histograms are summed after normalizing each member's.
+ * memberWeights: { login: weight } (default 1; 0 leaves a member out).
+ */
+const mergeProfiles = (profiles, memberWeights = {}) => {
+    const members = profiles
+        .map((profile) => {
+            const weight = Number(memberWeights[profile.login]);
+            return { profile, weight: Number.isFinite(weight) && weight >= 0 ? weight : 1 };
+        })
+        .filter((m) => m.weight > 0)
+        .sort((a, b) => b.weight - a.weight);
+
+    // Earlier items in a member's list count more, like languages in analyzeRepos
+    const ranked = (key, limit) => {
+        const points = new Map();
+        for (const { profile, weight } of members) {
+            const items = profile[key] || [];
+            items.forEach((item, i) => points.set(item, (points.get(item) || 0) + weight * (items.length - i) / items.length));
+        }
+        return [...points.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([item]) => item);
+    };
+    const summed = (key, entries) => {
+        let total = null;
+        for (const { profile, weight } of members) {
+            const value = profile[key];
+            if (!value) continue;
+            const norm = Object.values(value).reduce((sum, n) => sum + n, 0) || 1;
+            total = total || entries();
+            for (const [k, n] of Object.entries(value)) total[k] = (total[k] || 0) + weight * n / norm;
+        }
+        return total;
+    };
+    const nicheStarred = [...new Map(members.flatMap(({ profile }) => profile.nicheStarred).map((r) => [r.id, r])).values()];
+    const placed = members.find(({ profile }) => profile.place);
+    const pushes = members.map(({ profile }) => profile.recentPushAt).filter(Boolean).sort();
+
+    return {
+        login: members.map(({ profile }) => profile.login).join('+'),
+        team: members.map(({ profile }) => profile.login),
+        location: placed?.profile.location || '',
+        place: placed?.profile.place || null,
+        languages: ranked('languages', 10),
+        topics: ranked('topics', 15),
+        starredOwners: ranked('starredOwners', 50),
+        starredLanguages: ranked('starredLanguages', 10),
+        starredTopics: ranked('starredTopics', 30),
+        starredRepoIds: new Set(members.flatMap(({ profile }) => [...profile.starredRepoIds])),
+        nicheStarred: nicheStarred.slice(0, 5),
+        languageVector: summed('languageVector', () => ({})),
+        activityHours: summed('activityHours', () => Array(24).fill(0)),
+        recentPushAt: pushes[pushes.length - 1] || null,
+    };
+};
+
 // ─────────────────────────────────────────────────────────────
 // Exclusion lists (following + orgs) - with full pagination
 //
@@ -307,6 +724,69 @@ const getOrgLogins = async (token, login, { signal } = {}) => {
     }
 };
 
+// ["@Alice", "bob"] / "alice, bob" -> ["alice", "bob"]; "org/team-slug" stays a string (an org team)
+const normalizeTeam = (team) => {
+    if (!team) return null;
+    if (typeof team === 'string' && team.includes('/')) {
+        const match = team.trim().replace(/^@/, '').match(/^([\w.-]+)\/([\w.-]+)$/);
+        if (!match) throw new GitHubApiError('Enter a team as org/team-slug or a list of logins');
+        return `${match[1]}/${match[2]}`.toLowerCase();
+    }
+    const logins = (Array.isArray(team) ? team : String(team).split(/[\s,]+/))
+        .map((l) => String(l).trim().replace(/^@/, '').toLowerCase())
+        .filter(Boolean);
+    return logins.length > 0 ? [...new Set(logins)].slice(0, CONFIG.maxTeamMembers) : null;
+};
+
+/**
+ * Team members' user records (location etc. feed their profiles).
+ * An org team ("org/slug") needs read:org access to list its members.
+ */
+const getTeamUsers = async (token, team, { signal } = {}) => {
+    let logins = team;
+    if (typeof team === 'string') {
+        const [org, slug] = team.split('/');
+        const members = await fetchGitHub(
+            `${GITHUB_API_URL}/orgs/${encodeURIComponent(org)}/teams/${encodeURIComponent(slug)}/members?per_page=100`,
+            { token, signal }
+        ).catch((err) => {
+            // GitHub answers 404 (not 403) when the token lacks read:org, e.g. one issued before it was requested
+            if (err.status === 404 || err.status === 403) {
+                throw new GitHubApiError(`Team ${team} not found, or GitHug needs org access: sign out and in again to grant it`, { status: err.status });
+            }
+            throw err;
+        });
+        logins = (members || []).map((m) => m.login?.toLowerCase()).filter(Boolean).slice(0, CONFIG.maxTeamMembers);
+    }
+    if (logins.length === 0) throw new GitHubApiError('The team has no members');
+
+    return parallel(logins, 4, (login) =>
+        fetchGitHub(`${GITHUB_API_URL}/users/${encodeURIComponent(login)}`, { token, signal }).catch((err) => {
+            if (err.status === 404) throw new GitHubApiError(`User ${login} not found`, { status: 404 });
+            throw err;
+        })
+    );
+};
+
+/**
+ * Follow or unfollow a user on behalf of the authenticated account.
+ * Invalidates the cached following list so the next search excludes them.
+ */
+const setFollowing = async (token, login, follow, { signal } = {}) => {
+    if (!login) throw new GitHubApiError('Missing login');
+
+    if (token !== 'mock_token') {
+        await fetchGitHub(`${GITHUB_API_URL}/user/following/${encodeURIComponent(login)}`, {
+            token,
+            signal,
+            method: follow ? 'PUT' : 'DELETE',
+        });
+    }
+
+    profileCache.deletePrefix('me:following:');
+    return { login, following: follow };
+};
+
 // ─────────────────────────────────────────────────────────────
 // Candidate search
 // ─────────────────────────────────────────────────────────────
@@ -315,99 +795,216 @@ const sanitizeQuery = (str) => {
     return str.replace(/["\r\n\t]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 50);
 };
 
-const buildSearchQueries = (profile) => {
+// Quote qualifier values containing spaces (e.g. language:"Jupyter Notebook")
+const quoteQualifier = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Clean user-supplied search filters (empty / invalid values become null)
+ */
+const normalizeFilters = (filters = {}) => {
+    const toCount = (v) => {
+        if (v === '' || v == null) return null;
+        const n = Number(v);
+        return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+    };
+
+    // A reversed range (min > max) would make every query match nobody: swap it
+    let minFollowers = toCount(filters.minFollowers);
+    let maxFollowers = toCount(filters.maxFollowers);
+    if (minFollowers != null && maxFollowers != null && minFollowers > maxFollowers) {
+        [minFollowers, maxFollowers] = [maxFollowers, minFollowers];
+    }
+
+    return {
+        location: sanitizeQuery(filters.location || ''),
+        languages: [...new Set((filters.languages || []).map(sanitizeQuery).filter(Boolean))].slice(0, 5),
+        minFollowers,
+        maxFollowers,
+        minAccountAgeYears: toCount(filters.minAccountAgeYears),
+        maxAccountAgeYears: toCount(filters.maxAccountAgeYears),
+    };
+};
+
+const followersQualifier = (filters, fallbackMin) => {
+    const { minFollowers: min, maxFollowers: max } = filters;
+    if (min != null && max != null) return `followers:${min}..${max}`;
+    if (min != null) return `followers:>=${min}`;
+    if (max != null) return `followers:<=${max}`;
+    return `followers:>${fallbackMin}`;
+};
+
+const createdQualifier = (filters) => {
+    const yearsAgo = (years) => {
+        const d = new Date();
+        d.setFullYear(d.getFullYear() - years);
+        return d.toISOString().slice(0, 10);
+    };
+    const { minAccountAgeYears: minAge, maxAccountAgeYears: maxAge } = filters;
+    // Older accounts were created earlier, so the bounds flip
+    if (minAge != null && maxAge != null) return ` created:${yearsAgo(maxAge)}..${yearsAgo(minAge)}`;
+    if (minAge != null) return ` created:<=${yearsAgo(minAge)}`;
+    if (maxAge != null) return ` created:>=${yearsAgo(maxAge)}`;
+    return '';
+};
+
+const buildSearchQueries = (profile, filters = normalizeFilters()) => {
     const queries = [];
     const seenQueries = new Set();
 
-    // Helper to add unique queries
+    // Helper to add unique queries (account-age filter applies to all of them)
+    const created = createdQualifier(filters);
     const addQuery = (q) => {
-        if (!seenQueries.has(q)) {
-            queries.push(q);
-            seenQueries.add(q);
+        const query = `${q}${created}`;
+        if (!seenQueries.has(query)) {
+            queries.push(query);
+            seenQueries.add(query);
         }
     };
 
+    // Explicit filters override what we inferred from the profile
+    const languages = filters.languages.length > 0 ? filters.languages : profile.languages;
+
     // Language-based searches (most reliable) - prioritize top language
-    if (profile.languages[0]) {
-        addQuery(`type:user followers:>20 language:${profile.languages[0]} sort:followers`);
+    if (languages[0]) {
+        addQuery(`type:user ${followersQualifier(filters, 20)} language:${quoteQualifier(languages[0])} sort:followers`);
     }
-    if (profile.languages[1]) {
-        addQuery(`type:user followers:>10 language:${profile.languages[1]}`);
+    if (languages[1]) {
+        addQuery(`type:user ${followersQualifier(filters, 10)} language:${quoteQualifier(languages[1])}`);
     }
 
-    // Location + language (combined filter more effective)
-    const country = sanitizeQuery(profile.location.split(',').pop());
-    if (country && profile.languages[0]) {
-        addQuery(`type:user location:"${country}" language:${profile.languages[0]}`);
+    // Location + language (combined filter more effective).
+    // Canonical gazetteer names ("SF" -> "San Francisco"); my own location searches city and country.
+    const place = filters.location ? normalizeLocation(filters.location) : profile.place;
+    const locations = filters.location
+        ? [place?.city || place?.countryName || filters.location]
+        : [place?.city, place?.countryName].filter(Boolean);
+    for (const location of locations.map(sanitizeQuery)) {
+        if (languages[0]) {
+            addQuery(`type:user location:"${location}" language:${quoteQualifier(languages[0])}`);
+        } else if (filters.location) {
+            addQuery(`type:user ${followersQualifier(filters, 5)} location:"${location}"`);
+        }
+        if (filters.location && languages[1]) {
+            addQuery(`type:user location:"${location}" language:${quoteQualifier(languages[1])}`);
+        }
     }
 
     // Topic in bio - only for substantial topics
     for (const topic of profile.topics.slice(0, 2)) {
         if (topic.length >= 4 && !/^\d+$/.test(topic)) {
-            addQuery(`type:user followers:>5 ${topic} in:bio`);
+            addQuery(`type:user ${followersQualifier(filters, 5)} ${topic} in:bio`);
         }
     }
 
     return queries;
 };
 
-const searchCandidates = async (token, profile, { excludeSet, signal } = {}) => {
-    const queries = buildSearchQueries(profile);
-    const candidates = new Map(); // login -> candidate object
-    const targetCandidates = 50;
+/**
+ * Location filter: gazetteer match at the filter's level (city or country),
+ * substring match when either side is unknown to the gazetteer
+ */
+const matchesLocationFilter = (location, filter) => {
+    const wanted = normalizeLocation(filter);
+    const theirs = normalizeLocation(location);
+    if (wanted && theirs) {
+        return wanted.city ? compareLocations(wanted, theirs)?.tier === 'city' : wanted.country === theirs.country;
+    }
+    return (location || '').toLowerCase().includes(filter.toLowerCase());
+};
 
-    // Priority 1: Starred owners (high-value, zero API cost)
-    // These are pre-vetted by the user's own stars
-    for (const owner of profile.starredOwners.slice(0, 15)) {
-        const login = owner.toLowerCase();
-        if (!excludeSet.has(login)) {
-            candidates.set(login, { login: owner, priority: 1 });
-        }
-        if (candidates.size >= targetCandidates) {
-            return [...candidates.values()].sort((a, b) => a.priority - b.priority);
+/**
+ * Post-scoring check: search qualifiers don't apply to starred owners,
+ * and GitHub's location/language matching is fuzzy.
+ */
+const passesFilters = ({ user, languages = [] }, filters) => {
+    const followers = user.followers;
+    if (followers != null) {
+        if (filters.minFollowers != null && followers < filters.minFollowers) return false;
+        if (filters.maxFollowers != null && followers > filters.maxFollowers) return false;
+    }
+
+    if (user.created_at) {
+        const ageYears = (Date.now() - new Date(user.created_at).getTime()) / (1000 * 60 * 60 * 24 * 365.25);
+        if (filters.minAccountAgeYears != null && ageYears < filters.minAccountAgeYears) return false;
+        if (filters.maxAccountAgeYears != null && ageYears > filters.maxAccountAgeYears) return false;
+    }
+
+    if (filters.languages.length > 0) {
+        const wanted = new Set(filters.languages.map((l) => l.toLowerCase()));
+        if (!languages.some((l) => wanted.has(l.toLowerCase()))) return false;
+    }
+
+    if (filters.location && !matchesLocationFilter(user.location, filters.location)) {
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Fetch the next page of one search query and advance its cursor.
+ * GitHub serves at most 1000 results per query.
+ */
+const fetchSearchPage = async (token, cursor, { signal } = {}) => {
+    const page = cursor.page + 1;
+    const perPage = CONFIG.searchPerPage;
+    const cacheKey = `search:${cursor.query}:${page}`;
+    let items = searchCache.get(cacheKey);
+
+    if (!items) {
+        try {
+            const data = await fetchGitHub(
+                `${GITHUB_API_URL}/search/users?q=${encodeURIComponent(cursor.query)}&per_page=${perPage}&page=${page}`,
+                { token, signal }
+            );
+            items = data?.items || [];
+            searchCache.set(cacheKey, items);
+        } catch (err) {
+            // Aborted or rate-limited pages can be retried on the next call; anything else ends the query
+            if (!signal?.aborted && !err.rateLimit) cursor.exhausted = true;
+            return [];
         }
     }
 
-    // Priority 2: Search results (run queries in parallel batches)
-    const batchSize = 3;
-    for (let i = 0; i < queries.length; i += batchSize) {
-        // Early exit if we have enough candidates
-        if (candidates.size >= targetCandidates) break;
-        
-        const batch = queries.slice(i, i + batchSize);
-        const results = await Promise.all(
-            batch.map(async (query) => {
-                const cacheKey = `search:${query}`;
-                const cached = searchCache.get(cacheKey);
-                if (cached) return cached;
-
-                try {
-                    const data = await fetchGitHub(
-                        `${GITHUB_API_URL}/search/users?q=${encodeURIComponent(query)}&per_page=20`,
-                        { token, signal }
-                    );
-                    const items = data?.items || [];
-                    searchCache.set(cacheKey, items);
-                    return items;
-                } catch {
-                    return [];
-                }
-            })
-        );
+    cursor.page = page;
+    if (items.length < perPage || page * perPage >= 1000) cursor.exhausted = true;
+    return items;
+};
+
+// Pool order (lower first): strong, cheap signals before generic search hits
+const PRIORITY = Object.freeze({ starredOwner: 1, contributor: 1, network: 2, author: 2, stargazer: 3, search: 4 });
+
+// source: a PRIORITY key (kept on the pool entry, e.g. for diversity re-ranking)
+const addCandidate = (session, user, source) => {
+    const login = user.login?.toLowerCase();
+    if (!login || session.seen.has(login) || session.excludeSet.has(login)) return;
+    session.seen.add(login);
+    const priority = PRIORITY[source];
+    const at = session.pool.findIndex((c) => c.priority > priority);
+    if (at === -1) session.pool.push({ ...user, priority, source });
+    else session.pool.splice(at, 0, { ...user, priority, source });
+};
 
-        // Process results and deduplicate
+/**
+ * Top up the unscored pool from the search cursors (least-advanced queries first)
+ */
+const fillCandidatePool = async (token, session, { signal, target = CONFIG.maxCandidatesToScore } = {}) => {
+    const batchSize = 3;
+    while (session.pool.length < target) {
+        const open = session.cursors
+            .filter((c) => !c.exhausted)
+            .sort((a, b) => a.page - b.page)
+            .slice(0, Math.min(batchSize, scheduler.remaining('search')));
+        if (open.length === 0 || signal?.aborted) break;
+
+        const pagesBefore = open.map((c) => c.page);
+        const results = await Promise.all(open.map((cursor) => fetchSearchPage(token, cursor, { signal })));
         for (const items of results) {
-            for (const u of items) {
-                const login = u.login?.toLowerCase();
-                if (login && !excludeSet.has(login) && !candidates.has(login)) {
-                    candidates.set(login, { ...u, priority: 2 });
-                }
-            }
+            for (const u of items) addCandidate(session, u, 'search');
         }
+        // Nothing advanced (rate limited or aborted): try again on the next page request
+        if (open.every((c, i) => c.page === pagesBefore[i] && !c.exhausted)) break;
     }
-
-    // Sort by priority (starred owners first)
-    return [...candidates.values()].sort((a, b) => a.priority - b.priority);
 };
 
 // ─────────────────────────────────────────────────────────────
@@ -417,7 +1014,7 @@ const searchCandidates = async (token, profile, { excludeSet, signal } = {}) =>
 /**
  * Get candidate snapshot (user details + languages)
  */
-const getCandidateData = async (token, login, { signal } = {}) => {
+const getCandidateData = async (token, login, { signal, languageBytes = false } = {}) => {
     const userKey = `user:${login}`;
     const cachedUser = userCache.get(userKey);
 
@@ -433,114 +1030,598 @@ const getCandidateData = async (token, login, { signal } = {}) => {
         fetchGitHub(`${GITHUB_API_URL}/users/${login}/repos?per_page=10&sort=pushed`, { token, signal }).catch(() => []),
     ]);
 
-    const { languages } = analyzeRepos(repos);
+    const bytes = languageBytes
+        ? await fetchLanguageBytes(token, repos, { signal, limit: CONFIG.candidateLanguageRepos })
+        : null;
+    // No star list on this path: starredRepos stays undefined so factors needing it are skipped
+    return toCandidateData(userData, repos, undefined, bytes);
+};
+
+const toCandidateData = (user, repos, starredRepos, languageBytes = null) => {
+    const { languages, topics } = analyzeRepos(repos);
     const recentPush = repos[0]?.pushed_at;
+    const ownRepoCount = repos.filter((r) => !r.fork).length;
 
-    return { user: userData, languages, recentPush };
+    return { user, languages, topics, recentPush, ownRepoCount, sampledRepoCount: repos.length, starredRepos, languageBytes };
 };
 
+// GraphQL: one aliased query returns user details + recent repos for a whole batch
+const CANDIDATE_FRAGMENT = `
+fragment CandidateFields on User {
+    databaseId
+    login
+    name
+    avatarUrl
+    url
+    bio
+    location
+    createdAt
+    followers { totalCount }
+    following { totalCount }
+    repositories(first: 10, ownerAffiliations: OWNER, orderBy: { field: PUSHED_AT, direction: DESC }) {
+        totalCount
+        nodes {
+            primaryLanguage { name }
+            repositoryTopics(first: 10) { nodes { topic { name } } }
+            pushedAt
+            stargazerCount
+            isFork
+            isArchived
+            languages(first: 5, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+        }
+    }
+    starredRepositories(first: 30, orderBy: { field: STARRED_AT, direction: DESC }) {
+        nodes { databaseId nameWithOwner }
+    }
+}`;
+
 /**
- * Calculate match score between current user and candidate
- * Optimized: better weighting, memoization, and early exits
+ * Map a GraphQL user node to the REST shapes analyzeRepos/calculateScore consume
  */
-const calculateScore = (myProfile, candidate) => {
-    const { user, languages: candLangs, recentPush } = candidate;
-    const reasons = [];
-    let score = 0;
-    let maxPossibleScore = 0;
+const fromGraphQLUser = (node) => {
+    const repos = (node.repositories?.nodes || []).map((r) => ({
+        language: r.primaryLanguage?.name || null,
+        topics: (r.repositoryTopics?.nodes || []).map((t) => t.topic?.name).filter(Boolean),
+        pushed_at: r.pushedAt,
+        stargazers_count: r.stargazerCount,
+        fork: r.isFork,
+        archived: r.isArchived,
+    }));
+
+    const user = {
+        id: node.databaseId,
+        login: node.login,
+        type: 'User',
+        name: node.name,
+        avatar_url: node.avatarUrl,
+        html_url: node.url,
+        bio: node.bio,
+        location: node.location,
+        created_at: node.createdAt,
+        followers: node.followers?.totalCount ?? 0,
+        following: node.following?.totalCount ?? 0,
+        public_repos: node.repositories?.totalCount ?? 0,
+    };
 
-    // Pre-compute for optimization
-    const candLogin = (user.login || '').toLowerCase();
-    const bio = (user.bio || '').toLowerCase();
-    
-    // 1. Language overlap (weighted by position - earlier = more important)
-    const langOverlap = [];
-    for (let i = 0; i < myProfile.languages.length; i++) {
-        if (candLangs.includes(myProfile.languages[i])) {
-            // Higher weight for primary languages (position 0, 1)
-            const positionWeight = Math.max(1, 3 - i);
-            score += 10 * positionWeight;
-            langOverlap.push(myProfile.languages[i]);
-        }
-    }
-    if (langOverlap.length > 0) {
-        score = Math.min(score, WEIGHTS.languageOverlap);
-        reasons.push(`Uses ${langOverlap.slice(0, 3).join(', ')}`);
-    }
-    maxPossibleScore += WEIGHTS.languageOverlap;
-
-    // 2. Starred owner bonus (strong signal)
-    if (myProfile.starredOwners.some(s => s.toLowerCase() === candLogin)) {
-        score += WEIGHTS.starredOwner;
-        reasons.push('You starred their repos');
-    }
-    maxPossibleScore += WEIGHTS.starredOwner;
-
-    // 3. Topic overlap (combined check)
-    const matchedTopics = new Set();
-    if (bio) {
-        // Check own topics first (stronger signal)
-        for (const topic of myProfile.topics) {
-            if (topic.length >= 3 && bio.includes(topic.toLowerCase())) {
-                matchedTopics.add(topic);
-            }
+    const starredRepos = (node.starredRepositories?.nodes || [])
+        .map((r) => ({ id: r.databaseId, name: r.nameWithOwner }));
+
+    // Byte counts come for free with the batch (own, non-archived repos only)
+    const languageBytes = {};
+    for (const r of node.repositories?.nodes || []) {
+        if (r.isFork || r.isArchived) continue;
+        for (const edge of r.languages?.edges || []) {
+            const lang = edge.node?.name;
+            if (lang) languageBytes[lang] = (languageBytes[lang] || 0) + (edge.size || 0);
         }
-        // Then starred topics
-        for (const topic of myProfile.starredTopics) {
-            if (topic.length >= 3 && bio.includes(topic.toLowerCase()) && matchedTopics.size < 5) {
-                matchedTopics.add(topic);
-            }
+    }
+
+    return toCandidateData(user, repos, starredRepos, languageBytes);
+};
+
+/**
+ * Fetch snapshots for several logins in a single GraphQL request.
+ * Returns one entry per login; null when the login is not a user (e.g. an org).
+ */
+const fetchCandidatesGraphQL = async (token, logins, { signal } = {}) => {
+    const variables = {};
+    const fields = logins.map((login, i) => {
+        variables[`l${i}`] = login;
+        return `u${i}: user(login: $l${i}) { ...CandidateFields }`;
+    });
+    const query = `query(${logins.map((_, i) => `$l${i}: String!`).join(', ')}) {\n${fields.join('\n')}\n}\n${CANDIDATE_FRAGMENT}`;
+
+    const res = await fetchGitHub(GITHUB_GRAPHQL_URL, { token, signal, method: 'POST', body: { query, variables } });
+    // Unresolvable logins come back as null with a per-alias error; only a missing `data` is fatal
+    if (!res?.data) throw new GitHubApiError(res?.errors?.[0]?.message || 'GraphQL request failed');
+
+    return logins.map((_, i) => (res.data[`u${i}`] ? fromGraphQLUser(res.data[`u${i}`]) : null));
+};
+
+/**
+ * Get snapshots for a batch of candidates (cached), GraphQL first with REST fallback
+ */
+const getCandidatesData = async (token, logins, { signal, onSnapshot, languageBytes = false } = {}) => {
+    const result = new Map();
+    const deliver = (login, data) => {
+        result.set(login, data);
+        onSnapshot?.(login, data);
+    };
+
+    const missing = [];
+    for (const login of logins) {
+        const cached = userCache.get(`candidate:${login.toLowerCase()}`);
+        if (cached) deliver(login, cached);
+        else missing.push(login);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < missing.length; i += CONFIG.graphqlBatchSize) {
+        chunks.push(missing.slice(i, i + CONFIG.graphqlBatchSize));
+    }
+
+    await parallel(chunks, 2, async (chunk) => {
+        try {
+            const snapshots = await fetchCandidatesGraphQL(token, chunk, { signal });
+            chunk.forEach((login, i) => {
+                if (snapshots[i]) userCache.set(`candidate:${login.toLowerCase()}`, snapshots[i]);
+                deliver(login, snapshots[i]);
+            });
+        } catch {
+            if (signal?.aborted) return;
+            // REST fallback: two calls per candidate
+            await parallel(chunk, CONFIG.concurrency, async (login) => {
+                deliver(login, await getCandidateData(token, login, { signal, languageBytes }));
+            });
         }
+    });
+
+    return result;
+};
+
+/**
+ * Merge user-supplied weights over the defaults, registered factors included
+ * (non-numeric or negative values are ignored)
+ */
+const resolveWeights = (weights) => {
+    const resolved = { ...defaultWeights };
+    for (const key of Object.keys(defaultWeights)) {
+        const value = weights?.[key];
+        if (typeof value === 'number' && Number.isFinite(value) && value >= 0) resolved[key] = value;
     }
-    
-    if (matchedTopics.size > 0) {
-        const topicScore = Math.min(WEIGHTS.topicOverlap, matchedTopics.size * 6);
-        score += topicScore;
-        reasons.push(`Bio: ${[...matchedTopics].slice(0, 2).join(', ')}`);
+    return resolved;
+};
+
+/**
+ * Combine per-factor fractions (0..1) into a 0-99 score.
+ * Every factor present counts towards the maximum, matched or not.
+ */
+const combineFactors = (factors, weights) => {
+    let score = 0;
+    let maxPossibleScore = 0;
+    for (const [key, fraction] of Object.entries(factors)) {
+        const weight = weights[key] ?? 0;
+        score += fraction * weight;
+        maxPossibleScore += weight;
     }
-    maxPossibleScore += WEIGHTS.topicOverlap;
+    if (maxPossibleScore <= 0) return 0;
+
+    // Normalize to 0-99 (percentage-like scale)
+    return Math.max(0, Math.min(99, Math.round((score / maxPossibleScore) * 99)));
+};
 
-    // 4. Same country
-    const myCountry = (myProfile.location.split(',').pop() || '').trim().toLowerCase();
-    const theirCountry = ((user.location || '').split(',').pop() || '').trim().toLowerCase();
-    if (myCountry && theirCountry && myCountry.length > 2 && myCountry === theirCountry) {
-        score += WEIGHTS.sameCountry;
-        reasons.push(`Near you: ${theirCountry}`);
+// Languages that share most skills; a family match earns partial language credit
+const LANGUAGE_FAMILIES = [
+    ['JavaScript', 'TypeScript', 'CoffeeScript'],
+    ['Vue', 'Svelte', 'Astro', 'HTML', 'CSS', 'SCSS'],
+    ['C', 'C++', 'Objective-C'],
+    ['C++', 'Rust', 'Zig'],
+    ['Java', 'Kotlin', 'Scala', 'Groovy', 'Clojure'],
+    ['C#', 'F#', 'Visual Basic .NET'],
+    ['Swift', 'Objective-C'],
+    ['Python', 'Jupyter Notebook', 'Cython'],
+    ['Ruby', 'Crystal'],
+    ['Elixir', 'Erlang', 'Gleam'],
+    ['Haskell', 'PureScript', 'Elm', 'OCaml', 'ReScript'],
+    ['Common Lisp', 'Emacs Lisp', 'Scheme', 'Racket', 'Clojure'],
+    ['Shell', 'PowerShell', 'Batchfile'],
+];
+const FAMILY_AFFINITY = 0.5;
+
+const languageAffinity = (a, b) => {
+    if (a === b) return 1;
+    return LANGUAGE_FAMILIES.some((family) => family.includes(a) && family.includes(b)) ? FAMILY_AFFINITY : 0;
+};
+
+/**
+ * Cosine similarity of two { language: bytes } vectors (0..1)
+ */
+const languageCosine = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [lang, size] of Object.entries(a)) {
+        normA += size * size;
+        dot += size * (b[lang] || 0);
     }
-    maxPossibleScore += WEIGHTS.sameCountry;
+    for (const size of Object.values(b)) normB += size * size;
+    if (normA === 0 || normB === 0) return 0;
+    return dot / Math.sqrt(normA * normB);
+};
 
-    // 5. Follower ratio (influence indicator) - logarithmic scale
-    const followers = user.followers || 0;
-    const following = user.following || 1;
-    if (followers > 50) {
-        const ratio = followers / following;
-        if (ratio > 2) {
-            const influenceScore = Math.min(WEIGHTS.followerRatio, Math.floor(Math.log10(followers) * 2));
-            score += influenceScore;
+/**
+ * Primary languages, weighted by position (earlier = more important).
+ * Same-family languages earn partial credit; returns { fraction, overlap, related }.
+ */
+const primaryLanguageOverlap = (myLanguages, theirLanguages) => {
+    const overlap = [];
+    const related = [];
+    let points = 0;
+    for (let i = 0; i < myLanguages.length; i++) {
+        const mine = myLanguages[i];
+        let best = { lang: null, affinity: 0 };
+        for (const theirs of theirLanguages) {
+            const affinity = languageAffinity(mine, theirs);
+            if (affinity > best.affinity) best = { lang: theirs, affinity };
         }
+        if (best.affinity === 0) continue;
+        // Higher weight for primary languages (position 0, 1)
+        const positionWeight = Math.max(1, 3 - i);
+        points += 10 * positionWeight * best.affinity;
+        if (best.affinity === 1) overlap.push(mine);
+        else if (!related.some((r) => r.theirs === best.lang)) related.push({ mine, theirs: best.lang });
+    }
+    // Saturates at 30 points (e.g. top language + second language)
+    return { fraction: Math.min(1, points / 30), overlap, related };
+};
+
+/**
+ * My repo + starred topics vs. their repo topics, as sets; returns { fraction, shared }
+ */
+const topicOverlap = (myProfile, theirTopics = []) => {
+    const candTopics = new Set(theirTopics.map((t) => t.toLowerCase()));
+    const ownTopics = new Set(myProfile.topics.map((t) => t.toLowerCase()));
+    const shared = [];
+    let points = 0;
+    for (const topic of new Set([...ownTopics, ...myProfile.starredTopics.map((t) => t.toLowerCase())])) {
+        if (!candTopics.has(topic)) continue;
+        // Topics of my own repos count double those I only starred
+        points += ownTopics.has(topic) ? 1 : 0.5;
+        shared.push(topic);
+    }
+    // Three shared own-repo topics saturate the factor
+    return { fraction: Math.min(1, points / 3), shared };
+};
+
+// Tiered recency of the last push; null when not recent
+const activityTier = (recentPush) => {
+    if (!recentPush) return null;
+    const daysSincePush = (Date.now() - new Date(recentPush).getTime()) / (1000 * 60 * 60 * 24);
+    const evidence = `Pushed ${Math.floor(daysSincePush)} days ago`;
+    if (daysSincePush < 7) return { fraction: 1, reason: 'Very active', evidence };
+    if (daysSincePush < 30) return { fraction: 0.7, reason: 'Recently active', evidence };
+    return null;
+};
+
+// Whose profile the reasons talk about: mine, the seed's ("people like @someone") or my team's
+const perspective = (profile) => {
+    if (profile.team) {
+        return { subject: 'Your team', possessive: "your team's", object: 'your team', both: 'Your team also', follow: 'your team follows' };
+    }
+    if (profile.seed) {
+        const name = `@${profile.login}`;
+        return { subject: name, possessive: `${name}'s`, object: name, both: `They and ${name} both`, follow: 'you follow' };
+    }
+    return { subject: 'You', possessive: 'your', object: 'you', both: 'You both', follow: 'you follow' };
+};
+
+// "Followed by alice, bob and 3 others you follow"
+const describeFollowedBy = (logins, follow = 'you follow') => {
+    if (logins.length === 1) return `Followed by ${logins[0]}, who ${follow}`;
+    if (logins.length === 2) return `Followed by ${logins[0]} and ${logins[1]}, who ${follow}`;
+    const others = logins.length - 2;
+    return `Followed by ${logins[0]}, ${logins[1]} and ${others} other${others === 1 ? '' : 's'} ${follow}`;
+};
+
+/**
+ * Per-factor explanation of a score: what each factor earned against its maximum.
+ * `points` out of `weight`; the score is the sum of points over the sum of weights (scaled to 99).
+ */
+const buildBreakdown = (factors, evidence, weights) =>
+    Object.entries(factors).map(([id, fraction]) => ({
+        id,
+        fraction,
+        weight: weights[id] ?? 0,
+        points: Math.round(fraction * (weights[id] ?? 0) * 10) / 10,
+        evidence: evidence?.[id] || [],
+    }));
+
+// ─────────────────────────────────────────────────────────────
+// Scoring factors (plugin registry)
+// ─────────────────────────────────────────────────────────────
+// A factor declares the candidate data it needs, its maximum weight and
+// score(myProfile, candidate) -> { points, reason, evidence } | null, where points
+// are out of that weight. null leaves the factor out (it doesn't count towards
+// the maximum either), like active hours when a histogram is missing.
+
+// Candidate data a factor can ask for, and how to tell it was loaded
+const FACTOR_DATA = {
+    user: (candidate) => Boolean(candidate.user),                  // profile (bio, location, followers, ...)
+    repos: (candidate) => Array.isArray(candidate.languages),      // languages, topics, recentPush
+    starred: (candidate) => Array.isArray(candidate.starredRepos), // recently starred repos (GraphQL; on REST only those seen while sampling, flagged starredSampled)
+    events: (candidate) => Array.isArray(candidate.events),        // public events (one extra call per candidate)
+};
+
+const scoringFactors = new Map();  // id -> factor, in registration order (= order of reasons)
+const defaultWeights = { ...WEIGHTS };
+
+const addScoringFactor = ({ id, weight, needs = ['user'], score, optIn = false }) => {
+    if (typeof id !== 'string' || !id) throw new TypeError('A scoring factor needs an id');
+    if (scoringFactors.has(id)) throw new TypeError(`Scoring factor ${id} is already registered`);
+    if (!(typeof weight === 'number' && Number.isFinite(weight) && weight > 0)) {
+        throw new TypeError(`Scoring factor ${id} needs a positive weight`);
     }
-    maxPossibleScore += WEIGHTS.followerRatio;
+    const unknown = needs.find((need) => !FACTOR_DATA[need]);
+    if (unknown) throw new TypeError(`Scoring factor ${id} needs unknown data "${unknown}"`);
+    if (typeof score !== 'function') throw new TypeError(`Scoring factor ${id} needs a score function`);
+
+    // optIn: never triggers loading its data; it scores only when the data is there anyway
+    // (e.g. events fetched for searchUsers({ activeHours }))
+    scoringFactors.set(id, { id, weight, needs: [...needs], score, optIn });
+    defaultWeights[id] = weight;
+    return () => {
+        scoringFactors.delete(id);
+        delete defaultWeights[id];
+    };
+};
+
+// Whether some factor makes every candidate worth fetching `data` for
+const factorsNeed = (data) => [...scoringFactors.values()].some((f) => !f.optIn && f.needs.includes(data));
+
+// 1. Language overlap
+addScoringFactor({
+    id: 'languageOverlap',
+    weight: WEIGHTS.languageOverlap,
+    needs: ['repos'],
+    score: (myProfile, candidate) => {
+        let overlap = [];
+        let related = [];
+        let fraction;
+        const myVector = myProfile.languageVector;
+        const theirVector = candidate.languageBytes;
+        if (myVector && theirVector && Object.keys(myVector).length > 0) {
+            // Byte-weighted mode: cosine similarity of the language vectors
+            fraction = languageCosine(myVector, theirVector);
+            overlap = Object.keys(myVector)
+                .filter((lang) => theirVector[lang])
+                .sort((a, b) => myVector[b] * theirVector[b] - myVector[a] * theirVector[a]);
+        } else {
+            ({ fraction, overlap, related } = primaryLanguageOverlap(myProfile.languages, candidate.languages));
+        }
+
+        let reason = null;
+        if (overlap.length > 0) {
+            reason = `Uses ${overlap.slice(0, 3).join(', ')}`;
+        } else if (related.length > 0) {
+            reason = `Uses ${related[0].theirs} (close to ${perspective(myProfile).possessive} ${related[0].mine})`;
+        }
+        return {
+            points: fraction * WEIGHTS.languageOverlap,
+            reason,
+            evidence: [...overlap, ...related.map((r) => `${r.theirs} (close to ${r.mine})`)],
+            // Shown as the card's language chips
+            languages: [...overlap, ...related.map((r) => r.theirs)],
+        };
+    },
+});
+
+// 2. Starred owner bonus (strong signal)
+addScoringFactor({
+    id: 'starredOwner',
+    weight: WEIGHTS.starredOwner,
+    needs: ['user'],
+    score: (myProfile, candidate) => {
+        const login = (candidate.user.login || '').toLowerCase();
+        if (!myProfile.starredOwners.some((s) => s.toLowerCase() === login)) return { points: 0 };
+        const reason = `${perspective(myProfile).subject} starred their repos`;
+        return { points: WEIGHTS.starredOwner, reason, evidence: [reason] };
+    },
+});
+
+// 3. Shared stars (repos we both starred)
+addScoringFactor({
+    id: 'sharedStars',
+    weight: WEIGHTS.sharedStars,
+    needs: ['starred'],
+    score: (myProfile, candidate) => {
+        const shared = [...new Map(
+            candidate.starredRepos
+                .filter((r) => myProfile.starredRepoIds.has(r.id))
+                .map((r) => [r.id, r.name])
+        ).values()];
+        // Only a sample of their stars (REST fallback): no overlap found proves nothing
+        if (candidate.starredSampled && shared.length === 0) return null;
+        const more = shared.length - 1;
+        return {
+            // Three shared repos saturate the factor
+            points: Math.min(1, shared.length / 3) * WEIGHTS.sharedStars,
+            reason: shared.length > 0 ? `${perspective(myProfile).both} starred ${shared[0]}${more > 0 ? ` and ${more} more` : ''}` : null,
+            evidence: candidate.starredSampled ? [...shared, 'Their full star list was not loaded; seen while sampling stargazers'] : shared,
+        };
+    },
+});
 
-    // 6. Recent activity bonus (tiered)
-    if (recentPush) {
-        const daysSincePush = (Date.now() - new Date(recentPush).getTime()) / (1000 * 60 * 60 * 24);
-        if (daysSincePush < 7) {
-            score += WEIGHTS.recentActivity;
-            reasons.push('Very active');
-        } else if (daysSincePush < 30) {
-            score += Math.floor(WEIGHTS.recentActivity * 0.7);
-            reasons.push('Recently active');
+// 4. Second-degree network (followed by people you follow)
+addScoringFactor({
+    id: 'coFollowed',
+    weight: WEIGHTS.coFollowed,
+    needs: ['user'],
+    score: (myProfile, candidate) => {
+        const followedBy = candidate.followedBy || [];
+        return {
+            // Five co-followers saturate the factor
+            points: Math.min(1, followedBy.length / 5) * WEIGHTS.coFollowed,
+            reason: followedBy.length > 0 ? describeFollowedBy(followedBy, perspective(myProfile).follow) : null,
+            evidence: followedBy,
+        };
+    },
+});
+
+// 5. Topic overlap (my repo + starred topics vs. their repo topics)
+addScoringFactor({
+    id: 'topicOverlap',
+    weight: WEIGHTS.topicOverlap,
+    needs: ['repos'],
+    score: (myProfile, candidate) => {
+        const { fraction, shared } = topicOverlap(myProfile, candidate.topics);
+        return {
+            points: fraction * WEIGHTS.topicOverlap,
+            reason: shared.length > 0 ? `Shared topics: ${shared.slice(0, 3).join(', ')}` : null,
+            evidence: shared,
+        };
+    },
+});
+
+// 6. Bio keywords (my topics mentioned in their bio)
+addScoringFactor({
+    id: 'bioKeyword',
+    weight: WEIGHTS.bioKeyword,
+    needs: ['user'],
+    score: (myProfile, candidate) => {
+        const bio = (candidate.user.bio || '').toLowerCase();
+        const matches = new Set();
+        if (bio) {
+            // Check own topics first (stronger signal), then starred topics
+            for (const topic of [...myProfile.topics, ...myProfile.starredTopics]) {
+                if (matches.size >= 5) break;
+                const keyword = topic.toLowerCase();
+                if (keyword.length >= 3 && (bio.includes(keyword) || bio.includes(keyword.replace(/-/g, ' ')))) {
+                    matches.add(keyword);
+                }
+            }
         }
+        return {
+            // Two keywords saturate the factor
+            points: Math.min(1, matches.size / 2) * WEIGHTS.bioKeyword,
+            reason: matches.size > 0 ? `Bio: ${[...matches].slice(0, 2).join(', ')}` : null,
+            evidence: [...matches],
+        };
+    },
+});
+
+// 7. Proximity (tiered: same city > same country > same world region)
+addScoringFactor({
+    id: 'sameCountry',
+    weight: WEIGHTS.sameCountry,
+    needs: ['user'],
+    score: (myProfile, candidate) => {
+        const proximity = compareLocations(myProfile.place ?? normalizeLocation(myProfile.location), normalizeLocation(candidate.user.location));
+        if (!proximity) return { points: 0 };
+        let reason = `Same region: ${proximity.label}`;
+        if (proximity.tier === 'city') reason = `Near ${perspective(myProfile).object}: ${proximity.label}`;
+        else if (proximity.tier === 'country') reason = `Also in ${proximity.label}`;
+        return {
+            points: proximity.fraction * WEIGHTS.sameCountry,
+            reason,
+            evidence: [`Same ${proximity.tier}: ${proximity.label}`],
+        };
+    },
+});
+
+// 8. Follower ratio (influence indicator) - logarithmic scale
+addScoringFactor({
+    id: 'followerRatio',
+    weight: WEIGHTS.followerRatio,
+    needs: ['user'],
+    score: (myProfile, candidate) => {
+        const followers = candidate.user.followers || 0;
+        const following = candidate.user.following || 1;
+        if (followers <= 50 || followers / following <= 2) return { points: 0 };
+        return {
+            // 2 points per order of magnitude, saturating at 7 (~3k followers)
+            points: Math.min(1, Math.floor(Math.log10(followers) * 2) / 7) * WEIGHTS.followerRatio,
+            evidence: [`${followers} followers, following ${candidate.user.following || 0}`],
+        };
+    },
+});
+
+// 9. Recent activity bonus (tiered)
+addScoringFactor({
+    id: 'recentActivity',
+    weight: WEIGHTS.recentActivity,
+    needs: ['repos'],
+    score: (myProfile, candidate) => {
+        const activity = activityTier(candidate.recentPush);
+        if (!activity) return { points: 0 };
+        return { points: activity.fraction * WEIGHTS.recentActivity, reason: activity.reason, evidence: [activity.evidence] };
+    },
+});
+
+// 10. Active-hours overlap (opt-in: only scored when both histograms exist)
+addScoringFactor({
+    id: 'activeHours',
+    weight: WEIGHTS.activeHours,
+    needs: ['events'],
+    optIn: true,
+    score: (myProfile, candidate) => {
+        if (!myProfile.activityHours || !candidate.activityHours) return null;
+        const overlap = hoursOverlap(myProfile.activityHours, candidate.activityHours);
+        return {
+            // Identical rhythms are rare; 80% overlap already saturates the factor
+            points: Math.min(1, overlap / 0.8) * WEIGHTS.activeHours,
+            reason: overlap >= 0.5 ? 'Codes at similar hours' : null,
+            evidence: [
+                `${perspective(myProfile).subject} ~${formatOffset(inferUtcOffset(myProfile.activityHours))}, them ~${formatOffset(inferUtcOffset(candidate.activityHours))}`,
+            ],
+        };
+    },
+});
+
+/**
+ * Calculate match score between current user and candidate by running every registered factor.
+ * Each factor yields a fraction (0..1) of its weight, so weights can be tuned
+ * (and already-scored matches re-ranked) without recomputing the signals.
+ */
+const calculateScore = (myProfile, candidate, weights = defaultWeights) => {
+    const reasons = [];
+    const factors = {};
+    const evidence = {};
+    let languages = [];
+
+    // Repository mode: why they are in the pool at all (no points of its own)
+    const community = candidate.repoRoles;
+    if (community?.roles.some((role) => role !== 'stargazer')) {
+        reasons.push(`Contributes to ${community.repo}`);
+    } else if (community) {
+        reasons.push(`Recently starred ${community.repo}`);
     }
-    maxPossibleScore += WEIGHTS.recentActivity;
 
-    // Normalize to 0-99 (percentage-like scale)
-    score = Math.max(0, Math.min(99, Math.round((score / maxPossibleScore) * 99)));
+    for (const factor of scoringFactors.values()) {
+        if (!factor.needs.every((need) => FACTOR_DATA[need](candidate))) continue;
+        let result;
+        try {
+            result = factor.score(myProfile, candidate);
+        } catch (err) {
+            console.warn(`[GitHug] Scoring factor ${factor.id} failed:`, err);
+            continue;
+        }
+        if (!result) continue;
+
+        const points = Number(result.points) || 0;
+        factors[factor.id] = Math.max(0, Math.min(1, points / factor.weight));
+        if (result.evidence?.length) evidence[factor.id] = result.evidence;
+        if (result.reason) reasons.push(result.reason);
+        if (result.languages) languages = result.languages;
+    }
 
+    const resolved = resolveWeights(weights);
     return {
-        score,
+        score: combineFactors(factors, resolved),
         reasons: reasons.slice(0, 3), // Limit reasons to avoid clutter
-        languages: langOverlap.slice(0, 5),
+        languages: languages.slice(0, 5),
+        factors,
+        evidence,
+        breakdown: buildBreakdown(factors, evidence, resolved),
     };
 };
 
@@ -559,13 +1640,622 @@ const normalizeUser = (user, matchInfo) => ({
     followers: user.followers,
     matchScore: matchInfo.score,
     matchReasons: matchInfo.reasons,
+    matchFactors: matchInfo.factors,
+    matchEvidence: matchInfo.evidence,
+    matchBreakdown: matchInfo.breakdown,
     languages: matchInfo.languages,
+    ...(matchInfo.closestMember && { closestMember: matchInfo.closestMember }),
 });
 
+// ─────────────────────────────────────────────────────────────
+// Search sessions (resumable pagination)
+//
+// A session keeps the unscored candidate pool, per-query search cursors and
+// scored-but-not-yet-shown matches, so "Load more" scores genuinely new people
+// instead of re-running the whole pipeline.
+// ─────────────────────────────────────────────────────────────
+const sessionCache = new LRUCache(20, 10 * 60_000);
+
+const sessionKey = (login, filters, options) =>
+    `session:${(login || '').toLowerCase()}:${JSON.stringify(options)}:${JSON.stringify(filters)}`;
+
+/**
+ * Sample stargazers of the user's least-starred starred repos into the pool,
+ * remembering which repo each was found through for the sharedStars factor.
+ */
+const addStargazerCandidates = async (token, session, { signal } = {}) => {
+    const repos = session.profile.nicheStarred.slice(0, CONFIG.stargazerRepos);
+    const pages = await parallel(repos, CONFIG.stargazerRepos, (repo) =>
+        fetchGitHub(`${GITHUB_API_URL}/repos/${repo.name}/stargazers?per_page=${CONFIG.stargazersPerRepo}`, { token, signal })
+            .catch(() => [])
+    );
+
+    repos.forEach((repo, i) => {
+        for (const user of Array.isArray(pages[i]) ? pages[i] : []) {
+            if (!user?.login || user.type === 'Organization') continue;
+            const login = user.login.toLowerCase();
+            session.stargazerOf.set(login, [...(session.stargazerOf.get(login) || []), repo]);
+            addCandidate(session, user, 'stargazer');
+        }
+    });
+};
+
+// "https://github.com/Owner/Repo.git" / "owner/repo" -> "owner/repo"; null when not a repo
+const normalizeRepoName = (value) => {
+    const match = String(value || '').trim()
+        .replace(/^(https?:\/\/)?(www\.)?github\.com\//i, '')
+        .replace(/(\.git)?\/?$/, '')
+        .match(/^([\w.-]+)\/([\w.-]+)$/);
+    return match ? `${match[1]}/${match[2]}`.toLowerCase() : null;
+};
+
+/**
+ * Repository mode: the repo's contributors, issue/PR authors and most recent stargazers
+ * become the candidate pool (instead of search, stars and network).
+ */
+const addRepoCandidates = async (token, session, { signal } = {}) => {
+    const { repo } = session;
+    const meta = await fetchGitHub(`${GITHUB_API_URL}/repos/${repo}`, { token, signal }).catch((err) => {
+        if (err.status === 404) throw new GitHubApiError(`Repository ${repo} not found`, { status: 404 });
+        throw err;
+    });
+    // Stargazers are listed oldest first: the last page holds the newest ones. Pages of 100
+    // reach furthest before GitHub's pagination cap; past it, the last reachable page is used.
+    const lastStarPage = Math.min(CONFIG.maxListPage, Math.max(1, Math.ceil((meta.stargazers_count || 0) / 100)));
+
+    // A list the repo doesn't have (e.g. issues disabled) is empty; anything else is a real failure
+    const emptyIfMissing = (err) => {
+        if (err.status === 404) return [];
+        throw err;
+    };
+    const [contributors, issues, starPage] = await Promise.all([
+        fetchGitHub(`${GITHUB_API_URL}/repos/${repo}/contributors?per_page=${CONFIG.repoContributors}`, { token, signal }).catch(emptyIfMissing),
+        fetchGitHub(`${GITHUB_API_URL}/repos/${repo}/issues?state=all&sort=created&direction=desc&per_page=${CONFIG.repoIssues}`, { token, signal }).catch(emptyIfMissing),
+        fetchGitHub(`${GITHUB_API_URL}/repos/${repo}/stargazers?per_page=100&page=${lastStarPage}`, { token, signal }).catch(emptyIfMissing),
+    ]);
+    let stars = Array.isArray(starPage) ? starPage : [];
+    // A nearly empty last page (101 stars) leaves the rest of the newest ones on the page before it
+    if (stars.length < CONFIG.repoStargazers && lastStarPage > 1) {
+        const previous = await fetchGitHub(`${GITHUB_API_URL}/repos/${repo}/stargazers?per_page=100&page=${lastStarPage - 1}`, { token, signal }).catch(emptyIfMissing);
+        stars = [...(Array.isArray(previous) ? previous : []), ...stars];
+    }
+    const stargazers = stars.slice(-CONFIG.repoStargazers);
+
+    const add = (user, role) => {
+        if (!user?.login || user.type === 'Organization' || user.type === 'Bot') return;
+        const login = user.login.toLowerCase();
+        const roles = session.repoRoles.get(login) || [];
+        if (!roles.includes(role)) session.repoRoles.set(login, [...roles, role]);
+        addCandidate(session, user, role);
+    };
+    for (const user of Array.isArray(contributors) ? contributors : []) add(user, 'contributor');
+    for (const issue of Array.isArray(issues) ? issues : []) add(issue.user, 'author');
+    for (const user of [...stargazers].reverse()) add(user, 'stargazer');
+};
+
+/**
+ * Second-degree network: sample the following lists of people the user follows
+ * and add the most co-followed logins to the pool.
+ * Skipped when core quota can't cover the sample.
+ */
+const addNetworkCandidates = async (token, session, following, { signal } = {}) => {
+    if (following.length === 0) return;
+    if (scheduler.remaining('core') < CONFIG.rateLimitReserve + CONFIG.networkSample) return;
+
+    // Evenly spaced sample so old and recent follows are both represented
+    const step = Math.max(1, following.length / CONFIG.networkSample);
+    const sample = [...new Set(
+        Array.from({ length: Math.min(CONFIG.networkSample, following.length) }, (_, i) => following[Math.floor(i * step)])
+    )];
+
+    const lists = await parallel(sample, CONFIG.concurrency, (login) =>
+        fetchGitHub(`${GITHUB_API_URL}/users/${encodeURIComponent(login)}/following?per_page=${CONFIG.networkPerUser}`, { token, signal })
+            .catch(() => [])
+    );
+
+    sample.forEach((via, i) => {
+        for (const user of Array.isArray(lists[i]) ? lists[i] : []) {
+            const login = user?.login?.toLowerCase();
+            if (!login || session.excludeSet.has(login)) continue;
+            session.followedBy.set(login, [...(session.followedBy.get(login) || []), via]);
+        }
+    });
+
+    const top = [...session.followedBy.entries()]
+        .sort((a, b) => b[1].length - a[1].length)
+        .slice(0, CONFIG.networkCandidates);
+    for (const [login] of top) addCandidate(session, { login }, 'network');
+};
+
+/**
+ * Start a search session. With seedUser, candidates are matched against the seed's profile
+ * ("people like @someone") while my own followings and orgs are still excluded.
+ * With teamUsers, against the team's aggregate profile, excluding anyone a member follows.
+ * With repo ("owner/repo"), candidates come from that repository's community only.
+ */
+const createSearchSession = async (token, currentUser, {
+    seedUser, teamUsers, teamWeights, repo, filters, quality, languageMode, activeHours, excludeLogins = [], signal,
+} = {}) => {
+    const login = currentUser.login.toLowerCase();
+
+    // Build the profile to match against
+    const profileOptions = { signal, languageBytes: languageMode === 'bytes', activeHours };
+    let myProfile;
+    let memberProfiles = null;
+    if (teamUsers) {
+        memberProfiles = await parallel(teamUsers, 3, (member) => buildProfile(token, member, profileOptions));
+        myProfile = mergeProfiles(memberProfiles, teamWeights);
+    } else {
+        const seedProfile = await buildProfile(token, seedUser || currentUser, profileOptions);
+        myProfile = seedUser ? { ...seedProfile, seed: true } : seedProfile;
+    }
+    const memberLogins = (memberProfiles || []).map((p) => p.login);
+
+    // Get exclusion lists (in team mode, everyone any member follows)
+    const [followingLists, orgs] = await Promise.all([
+        parallel([...new Set([login, ...memberLogins])], 4, (member) => getFollowingLogins(token, member, { signal })),
+        getOrgLogins(token, login, { signal }),
+    ]);
+    const following = [...new Set(followingLists.flat())];
+
+    const session = {
+        profile: myProfile,
+        filters,
+        quality,
+        rejections: {},         // quality gate: reason -> candidates rejected so far
+        languageMode,
+        // Only worth a call per candidate when my own hours are known
+        activeHours: Boolean(activeHours && myProfile.activityHours),
+        stargazerOf: new Map(), // login -> repos of mine they starred (seen while sampling)
+        followedBy: new Map(),  // login -> people I follow who follow them (sampled)
+        memberProfiles,         // team mode: each member's own profile, for the closest member
+        repo,
+        repoRoles: new Map(),   // login -> ['contributor' | 'author' | 'stargazer'] in repository mode
+        excludeSet: new Set([
+            login,
+            myProfile.login,
+            ...memberLogins,
+            ...excludeLogins.map((l) => l.toLowerCase()),
+            ...following,
+            ...orgs,
+        ]),
+        seen: new Set(),
+        pool: [],
+        buffer: [],
+        cursors: repo ? [] : buildSearchQueries(myProfile, filters).map((query) => ({ query, page: 0, exhausted: false })),
+    };
+
+    if (repo) {
+        await addRepoCandidates(token, session, { signal });
+        return session;
+    }
+
+    // Starred owners (high-value, zero API cost)
+    // These are pre-vetted by the user's own stars
+    for (const owner of myProfile.starredOwners.slice(0, 15)) {
+        addCandidate(session, { login: owner }, 'starredOwner');
+    }
+
+    // People your network follows, and fellow stargazers of niche repos you starred
+    await Promise.all([
+        addNetworkCandidates(token, session, following, { signal }),
+        addStargazerCandidates(token, session, { signal }),
+    ]);
+
+    return session;
+};
+
+const resolveQuality = (overrides = {}) => {
+    const quality = { ...QUALITY };
+    for (const key of Object.keys(QUALITY)) {
+        const value = Number(overrides?.[key]);
+        if (overrides?.[key] != null && Number.isFinite(value) && value >= 0) quality[key] = value;
+    }
+    return quality;
+};
+
+const isBot = (user) => user?.type === 'Bot' || /\[bot\]$/i.test(user?.login || '');
+
+/**
+ * Why a candidate is not worth suggesting: 'bot' | 'noRepos' | 'followFarm' | 'inactive', or null
+ */
+const qualityIssue = (data, quality) => {
+    const { user } = data;
+    if (isBot(user)) return 'bot';
+    // Only the most recent repos are sampled: all forks there proves nothing if they have more
+    const publicRepos = user.public_repos ?? data.sampledRepoCount;
+    if (data.ownRepoCount === 0 && publicRepos <= data.sampledRepoCount) return 'noRepos';
+    const following = user.following || 0;
+    if (following >= quality.followFarmMinFollowing && following / Math.max(1, user.followers || 0) > quality.followFarmRatio) {
+        return 'followFarm';
+    }
+    if (quality.inactiveDays > 0 && data.recentPush) {
+        const daysSincePush = (Date.now() - new Date(data.recentPush).getTime()) / (1000 * 60 * 60 * 24);
+        if (daysSincePush > quality.inactiveDays) return 'inactive';
+    }
+    return null;
+};
+
+const countRejection = (session, reason) => {
+    session.rejections[reason] = (session.rejections[reason] || 0) + 1;
+};
+
+const scoreCandidate = (session, data, { weights, source } = {}) => {
+    if (!data || data.user?.type === 'Organization') return null;
+    if (!passesFilters(data, session.filters)) return null;
+    const issue = qualityIssue(data, session.quality);
+    if (issue) {
+        countRejection(session, issue);
+        return null;
+    }
+
+    // Stars seen while sampling stargazers count even when the snapshot has no star list (REST),
+    // flagged so shared stars don't claim to know the whole overlap
+    const login = data.user.login.toLowerCase();
+    const sampled = session.stargazerOf.get(login);
+    if (sampled) {
+        data = data.starredRepos
+            ? { ...data, starredRepos: [...sampled, ...data.starredRepos] }
+            : { ...data, starredRepos: sampled, starredSampled: true };
+    }
+    if (session.followedBy.has(login)) data = { ...data, followedBy: session.followedBy.get(login) };
+    if (session.repoRoles.has(login)) data = { ...data, repoRoles: { repo: session.repo, roles: session.repoRoles.get(login) } };
+
+    const matchInfo = calculateScore(session.profile, data, weights);
+    if (matchInfo.score <= 0) return null;
+
+    // Team mode: which member this person is most like
+    if (session.memberProfiles?.length > 1) {
+        const [closest] = session.memberProfiles
+            .map((member) => ({ login: member.login, score: calculateScore(member, data, weights).score }))
+            .sort((a, b) => b.score - a.score);
+        matchInfo.closestMember = closest;
+    }
+
+    const match = normalizeUser(data.user, matchInfo);
+    return source ? { ...match, matchSource: source } : match;
+};
+
+// Public events cost a call per candidate: fetched for active hours or when a factor needs them.
+// Checked per page, so a factor registered mid-session gets its events from the next page on.
+const wantsEvents = (session) => session.activeHours || factorsNeed('events');
+
+/**
+ * How many candidates we can afford to score right now.
+ * A GraphQL batch costs about one point; the REST fallback two core calls per candidate,
+ * plus one for the events call when active hours are compared (or a factor needs events).
+ */
+const candidateBudget = (session) => {
+    const extra = session && wantsEvents(session) ? 1 : 0;
+    const core = scheduler.remaining('core');
+    const perCandidate = scheduler.remaining('graphql') > CONFIG.rateLimitReserve ? extra : 2 + extra;
+    if (perCandidate === 0) return CONFIG.maxCandidatesToScore;
+    return Math.max(0, Math.min(CONFIG.maxCandidatesToScore, Math.floor((core - CONFIG.rateLimitReserve) / perCandidate)));
+};
+
+/**
+ * Score pool candidates until a page is filled (bounded by CONFIG.maxScoringRounds).
+ * The batch shrinks when quota is low instead of failing half-way.
+ * onMatch fires for every match as soon as it is scored (including leftovers
+ * from the previous page); onProgress reports { phase, done, total }.
+ */
+const nextSessionPage = async (token, session, { pageSize, weights, diversity = 0, signal, onMatch, onProgress } = {}) => {
+    let rateLimited = false;
+    const notExcluded = (c) => !session.excludeSet.has(c.login.toLowerCase());
+
+    // Weights may have changed since the buffer was scored
+    session.buffer = session.buffer
+        .filter(notExcluded)
+        .map((m) => rescoreMatch(m, weights));
+    session.buffer.forEach((m) => onMatch?.(m));
+
+    let done = 0;
+    let total = 0;
+    for (let round = 0; round < CONFIG.maxScoringRounds && session.buffer.length < pageSize; round += 1) {
+        const budget = candidateBudget(session);
+        if (budget < CONFIG.maxCandidatesToScore) rateLimited = true;
+        if (budget === 0) break;
+
+        onProgress?.({ phase: 'searching', done, total });
+        await fillCandidatePool(token, session, { signal, target: budget });
+        const batch = session.pool.splice(0, budget).filter(notExcluded).filter((c) => {
+            // Bots are recognizable from the search hit alone: don't spend a snapshot on them
+            if (!isBot(c)) return true;
+            countRejection(session, 'bot');
+            return false;
+        });
+        if (batch.length === 0) break;
+
+        total += batch.length;
+        onProgress?.({ phase: 'scoring', done, total });
+        const sources = new Map(batch.map((c) => [c.login.toLowerCase(), c.source]));
+        const score = (data) => {
+            const source = data && sources.get(data.user.login.toLowerCase());
+            const match = scoreCandidate(session, data, { weights, source });
+            done += 1;
+            if (match) {
+                session.buffer.push(match);
+                onMatch?.(match);
+            }
+            onProgress?.({ phase: 'scoring', done, total });
+        };
+        // Public events need one more call per candidate before it can be scored
+        const events = wantsEvents(session);
+        const enriching = [];
+        await getCandidatesData(token, batch.map((c) => c.login), {
+            signal,
+            languageBytes: session.languageMode === 'bytes',
+            onSnapshot: (login, data) => {
+                if (!events || !data) return score(data);
+                enriching.push(getPublicEvents(token, login, { signal })
+                    .then((events) => score({ ...data, events, activityHours: activityHistogram(events) })));
+            },
+        });
+        await Promise.all(enriching);
+    }
+
+    session.buffer = diversifyMatches(session.buffer, diversity);
+    const items = session.buffer.splice(0, pageSize);
+    const hasMore = session.buffer.length > 0
+        || session.pool.length > 0
+        || session.cursors.some((c) => !c.exhausted);
+
+    return { items, hasMore, rateLimited, rejected: { ...session.rejections } };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Organizations
+//
+// Orgs are profiled from their public repos and members and scored with
+// their own factors; they use the same resumable session shape as people.
+// ─────────────────────────────────────────────────────────────
+
+const buildOrgQueries = (profile) => {
+    const queries = [];
+    const [first, second] = profile.languages;
+    if (first) queries.push(`type:org repos:>5 language:${quoteQualifier(first)}`);
+    if (first && profile.place) {
+        const location = sanitizeQuery(profile.place.city || profile.place.countryName);
+        queries.push(`type:org location:"${location}" language:${quoteQualifier(first)}`);
+    }
+    if (second) queries.push(`type:org repos:>5 language:${quoteQualifier(second)}`);
+    return queries;
+};
+
+/**
+ * Org snapshot (cached): profile, repo analysis, top repos and public members.
+ * Public members are listed up to 100 (membersCapped when there may be more).
+ */
+const getOrgData = async (token, login, { signal } = {}) => {
+    const cacheKey = `org:${login.toLowerCase()}`;
+    const cached = userCache.get(cacheKey);
+    if (cached) return cached;
+
+    const base = `${GITHUB_API_URL}/orgs/${encodeURIComponent(login)}`;
+    const [org, repos, members] = await Promise.all([
+        fetchGitHub(base, { token, signal }),
+        fetchGitHub(`${base}/repos?per_page=${CONFIG.orgReposPerOrg}&sort=pushed`, { token, signal }).catch(() => []),
+        fetchGitHub(`${base}/public_members?per_page=100`, { token, signal }).catch(() => []),
+    ]);
+    const { languages, topics } = analyzeRepos(repos);
+    const data = {
+        org,
+        languages,
+        topics,
+        recentPush: repos.map((r) => r.pushed_at).filter(Boolean).sort().pop() || null,
+        members: members.map((m) => m.login?.toLowerCase()).filter(Boolean),
+        membersCapped: members.length >= 100,
+        topRepos: repos
+            .filter((r) => !r.fork && !r.archived)
+            .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
+            .slice(0, 3)
+            .map((r) => ({ name: r.name, html_url: r.html_url, description: r.description, language: r.language, stars: r.stargazers_count || 0 })),
+    };
+    userCache.set(cacheKey, data);
+    return data;
+};
+
+/**
+ * Organization variant of calculateScore: languages, topics, members I follow, activity
+ */
+const calculateOrgScore = (myProfile, data, following) => {
+    const reasons = [];
+    const factors = {};
+    const evidence = {};
+
+    const languages = primaryLanguageOverlap(myProfile.languages, data.languages);
+    factors.languageOverlap = languages.fraction;
+    evidence.languageOverlap = [...languages.overlap, ...languages.related.map((r) => `${r.theirs} (close to ${r.mine})`)];
+    if (languages.overlap.length > 0) reasons.push(`Builds with ${languages.overlap.slice(0, 3).join(', ')}`);
+
+    const topics = topicOverlap(myProfile, data.topics);
+    factors.topicOverlap = topics.fraction;
+    evidence.topicOverlap = topics.shared;
+    if (topics.shared.length > 0) reasons.push(`Shared topics: ${topics.shared.slice(0, 3).join(', ')}`);
+
+    const followed = data.members.filter((login) => following.has(login));
+    // Three familiar faces saturate the factor
+    factors.followedMembers = Math.min(1, followed.length / 3);
+    evidence.followedMembers = followed;
+    if (followed.length > 0) {
+        const others = followed.length - 1;
+        reasons.push(`You follow ${followed[0]}${others > 0 ? ` and ${others} other member${others === 1 ? '' : 's'}` : ''}`);
+    }
+
+    const activity = activityTier(data.recentPush);
+    factors.recentActivity = activity?.fraction || 0;
+    if (activity) {
+        reasons.push(activity.reason);
+        evidence.recentActivity = [activity.evidence];
+    }
+
+    return {
+        score: combineFactors(factors, ORG_WEIGHTS),
+        reasons: reasons.slice(0, 3),
+        languages: [...languages.overlap, ...languages.related.map((r) => r.theirs)].slice(0, 5),
+        factors,
+        evidence,
+        breakdown: buildBreakdown(factors, evidence, ORG_WEIGHTS),
+        followed,
+    };
+};
+
+const normalizeOrg = ({ org, members, membersCapped, topRepos }, matchInfo) => ({
+    id: org.id,
+    login: org.login,
+    name: org.name,
+    avatar_url: org.avatar_url,
+    html_url: org.html_url || `https://github.com/${org.login}`,
+    description: org.description,
+    location: org.location,
+    public_repos: org.public_repos,
+    memberCount: members.length,
+    membersCapped,
+    followedMembers: matchInfo.followed,
+    topRepos,
+    matchScore: matchInfo.score,
+    matchReasons: matchInfo.reasons,
+    matchFactors: matchInfo.factors,
+    matchEvidence: matchInfo.evidence,
+    matchBreakdown: matchInfo.breakdown,
+    languages: matchInfo.languages,
+});
+
+const createOrgSession = async (token, currentUser, { signal } = {}) => {
+    const login = currentUser.login.toLowerCase();
+    const [profile, following, orgs] = await Promise.all([
+        buildProfile(token, currentUser, { signal }),
+        getFollowingLogins(token, login, { signal }),
+        getOrgLogins(token, login, { signal }),
+    ]);
+    return {
+        profile,
+        following: new Set(following),
+        excludeSet: new Set(orgs),
+        seen: new Set(),
+        pool: [],
+        buffer: [],
+        cursors: buildOrgQueries(profile).map((query) => ({ query, page: 0, exhausted: false })),
+    };
+};
+
+const nextOrgPage = async (token, session, { pageSize, signal, onMatch } = {}) => {
+    let rateLimited = false;
+    for (let round = 0; round < CONFIG.maxScoringRounds && session.buffer.length < pageSize; round += 1) {
+        const budget = Math.max(0, Math.min(CONFIG.orgsPerRound, Math.floor((scheduler.remaining('core') - CONFIG.rateLimitReserve) / 3)));
+        if (budget < CONFIG.orgsPerRound) rateLimited = true;
+        if (budget === 0) break;
+
+        await fillCandidatePool(token, session, { signal, target: budget });
+        const batch = session.pool.splice(0, budget).filter((c) => c.type !== 'User');
+        if (batch.length === 0) break;
+
+        await parallel(batch, 4, async (candidate) => {
+            const data = await getOrgData(token, candidate.login, { signal }).catch(() => null);
+            if (!data) return;
+            const matchInfo = calculateOrgScore(session.profile, data, session.following);
+            if (matchInfo.score <= 0) return;
+            const match = normalizeOrg(data, matchInfo);
+            session.buffer.push(match);
+            onMatch?.(match);
+        });
+    }
+
+    session.buffer.sort((a, b) => b.matchScore - a.matchScore);
+    const items = session.buffer.splice(0, pageSize);
+    const hasMore = session.buffer.length > 0
+        || session.pool.length > 0
+        || session.cursors.some((c) => !c.exhausted);
+    return { items, hasMore, rateLimited };
+};
+
 // ─────────────────────────────────────────────────────────────
 // Public API
 // ─────────────────────────────────────────────────────────────
 
+/**
+ * Default weights of the built-in scoring factors (see calculateScore)
+ */
+export const DEFAULT_WEIGHTS = WEIGHTS;
+
+/**
+ * Default weights of every factor, registered ones included, as a frozen snapshot:
+ * registering or removing a factor later doesn't change what callers already hold.
+ */
+export const getDefaultWeights = () => Object.freeze({ ...defaultWeights });
+
+/**
+ * Add a scoring factor without touching the built-in ones:
+ *   registerScoringFactor({
+ *     id: 'openToWork',
+ *     weight: 10,                       // max points; also its default weight
+ *     needs: ['user'],                  // any of 'user', 'repos', 'starred', 'events'
+ *     score: (myProfile, candidate) => /open to work/i.test(candidate.user.bio || '')
+ *         ? { points: 10, reason: 'Open to work', evidence: ['Bio says open to work'] }
+ *         : { points: 0 },
+ *   });
+ * score may return null to leave the factor out for a candidate. Factors that need
+ * 'events' cost one extra call per candidate unless registered with optIn: true, in which
+ * case they only run when events were fetched anyway (active hours on). A search picks up
+ * a factor registered mid-session from its next page. Returns a function that unregisters it.
+ */
+export const registerScoringFactor = ({ id, weight, needs, score, optIn }) => addScoringFactor({ id, weight, needs, score, optIn });
+
+/**
+ * Re-score an already-normalized match with different weights (no API calls).
+ * Matches without stored factors (e.g. mock users) keep their score.
+ */
+export const rescoreMatch = (match, weights) => {
+    if (!match?.matchFactors) return match;
+    const resolved = resolveWeights(weights);
+    return {
+        ...match,
+        matchScore: combineFactors(match.matchFactors, resolved),
+        matchBreakdown: buildBreakdown(match.matchFactors, match.matchEvidence, resolved),
+    };
+};
+
+// What a page should not repeat: top language, place and where the candidate was found
+const diversityFeatures = (match) => {
+    const place = normalizeLocation(match.location);
+    return {
+        language: match.languages?.[0] || null,
+        place: place ? place.city || place.country : null,
+        source: match.matchSource || null,
+    };
+};
+
+const featureSimilarity = (a, b) =>
+    ['language', 'place', 'source'].filter((key) => a[key] && a[key] === b[key]).length / 3;
+
+/**
+ * Re-rank matches by maximal marginal relevance: each pick trades score against
+ * similarity (language, location, source) to the matches already above it.
+ * diversity: 0 = pure score order, 1 = diversity only. The best match always stays on top.
+ */
+export const diversifyMatches = (matches, diversity = 0) => {
+    const ranked = [...matches].sort((a, b) => b.matchScore - a.matchScore);
+    const lambda = Math.max(0, Math.min(1, Number(diversity) || 0));
+    if (lambda === 0 || ranked.length < 3) return ranked;
+
+    const features = new Map(ranked.map((m) => [m, diversityFeatures(m)]));
+    const picked = [ranked.shift()];
+    while (ranked.length > 0) {
+        let best = 0;
+        let bestValue = -Infinity;
+        ranked.forEach((match, i) => {
+            const redundancy = Math.max(...picked.map((p) => featureSimilarity(features.get(match), features.get(p))));
+            const value = (1 - lambda) * (match.matchScore / 100) - lambda * redundancy;
+            if (value > bestValue) {
+                bestValue = value;
+                best = i;
+            }
+        });
+        picked.push(ranked.splice(best, 1)[0]);
+    }
+    return picked;
+};
+
 export const loginWithGithub = () => {
     const clientId = import.meta.env.GITHUG_CLIENT_ID;
     
@@ -589,9 +2279,9 @@ export const loginWithGithub = () => {
     const params = new URLSearchParams({
         client_id: clientId,
         redirect_uri: redirectUri,
-        // Ask for read profile + follow list.
+        // Ask for read profile + follow list, and org membership for team mode (org/team-slug).
         // Even if some tokens can't use /user/following, we also have a public fallback.
-        scope: 'read:user user:follow',
+        scope: 'read:user user:follow read:org',
     });
 
     window.location.href = `${GITHUB_AUTH_URL}?${params}`;
@@ -614,8 +2304,43 @@ export const getProfile = async (token) => {
     return fetchGitHub(`${GITHUB_API_URL}/user`, { token });
 };
 
+export const followUser = (token, login, opts) => setFollowing(token, login, true, opts);
+
+export const unfollowUser = (token, login, opts) => setFollowing(token, login, false, opts);
+
+// "@Alice " -> "alice"; null when empty or when it is me (the normal search)
+const normalizeSeedLogin = (seed, myLogin) => {
+    const login = String(seed || '').trim().replace(/^@/, '').toLowerCase();
+    return login && login !== (myLogin || '').toLowerCase() ? login : null;
+};
+
+/**
+ * Find and rank people to follow, one page at a time.
+ * Pass onMatch / onProgress to render results while the page is still being scored;
+ * the resolved page is authoritative (top `pageSize` of everything streamed).
+ * languageMode: 'bytes' compares byte-weighted language vectors (extra REST calls);
+ * activeHours: true compares public-event activity hours (one extra call per candidate);
+ * seedLogin: find people like that account instead of like currentUser;
+ * repo: "owner/repo" draws candidates from that repository's contributors, issue/PR authors and stargazers;
+ * team: logins (or "org/team-slug") matched as one aggregate profile, weighted by teamWeights { login: n };
+ * diversity: 0..1, trade score for variety when picking the page (see diversifyMatches);
+ * quality: overrides for the candidate quality gate (see QUALITY). Results report `rejected`:
+ * candidates the gate turned away so far this session, counted by reason.
+ */
 export const searchUsers = async (token, currentUser, opts = {}) => {
-    const { page = 1, pageSize = CONFIG.pageSize, excludeLogins = [], signal } = opts;
+    const { page = 1, pageSize = CONFIG.pageSize, excludeLogins = [], dismissedLogins = [], weights, diversity, signal, onMatch, onProgress } = opts;
+    const languageMode = opts.languageMode === 'bytes' ? 'bytes' : 'primary';
+    const activeHours = opts.activeHours === true;
+    const seedLogin = normalizeSeedLogin(opts.seedLogin, currentUser.login);
+    const repo = opts.repo ? normalizeRepoName(opts.repo) : null;
+    if (opts.repo && !repo) throw new GitHubApiError('Enter a repository as owner/repo');
+    const team = normalizeTeam(opts.team);
+    if (seedLogin && team) throw new GitHubApiError('Find people like one account or match a team, not both');
+    const teamWeights = team
+        ? Object.fromEntries(Object.entries(opts.teamWeights || {}).map(([login, weight]) => [login.toLowerCase(), weight]))
+        : undefined;
+    const filters = normalizeFilters(opts.filters);
+    const quality = resolveQuality(opts.quality);
 
     // Mock mode
     if (token === 'mock_token') {
@@ -625,60 +2350,91 @@ export const searchUsers = async (token, currentUser, opts = {}) => {
             { id: 3, login: 'rich-harris', avatar_url: 'https://github.com/rich-harris.png', bio: 'Svelte.', location: 'NYC', html_url: 'https://github.com/rich-harris', matchScore: 68, matchReasons: ['Uses JavaScript'], languages: ['JavaScript'] },
             { id: 4, login: 'youyuxi', avatar_url: 'https://github.com/youyuxi.png', bio: 'Vue.', location: 'NJ', html_url: 'https://github.com/youyuxi', matchScore: 65, matchReasons: ['Uses TypeScript'], languages: ['TypeScript'] },
         ];
+        const hidden = new Set(dismissedLogins.map((l) => l.toLowerCase()));
+        const visible = mockUsers.filter((u) => !hidden.has(u.login) && passesFilters({ user: u, languages: u.languages }, filters));
+        onProgress?.({ phase: 'profiling', done: 0, total: 0 });
         await new Promise((r) => setTimeout(r, 600));
-        return { items: mockUsers.slice(0, pageSize), hasMore: mockUsers.length > pageSize };
+        const start = (page - 1) * pageSize;
+        const items = visible.slice(start, start + pageSize);
+        items.forEach((m, i) => {
+            onMatch?.(m);
+            onProgress?.({ phase: 'scoring', done: i + 1, total: items.length });
+        });
+        return { items, hasMore: visible.length > start + pageSize };
     }
 
-    // Build user profile
-    const myProfile = await buildProfile(token, currentUser, { signal });
-
-    // Get exclusion lists
-    const [following, orgs] = await Promise.all([
-        getFollowingLogins(token, myProfile.login, { signal }),
-        getOrgLogins(token, myProfile.login, { signal }),
-    ]);
-
-    const excludeSet = new Set([
-        myProfile.login,
-        ...excludeLogins.map((l) => l.toLowerCase()),
-        ...following,
-        ...orgs,
-    ]);
-
-    // Find candidates
-    const candidates = await searchCandidates(token, myProfile, { excludeSet, signal });
-
-    // Score candidates with concurrency
-    const toScore = candidates.slice(0, CONFIG.maxCandidatesToScore);
-    const scored = await parallel(toScore, CONFIG.concurrency, async (candidate) => {
-        try {
-            const data = await getCandidateData(token, candidate.login, { signal });
-            if (data.user?.type === 'Organization') return null;
+    // Page 1 always starts a fresh session; later pages resume it
+    const key = sessionKey(currentUser.login, filters, { languageMode, activeHours, seedLogin, repo, team, teamWeights, quality });
+    let session = page > 1 ? sessionCache.get(key) : undefined;
+    if (!session) {
+        onProgress?.({ phase: 'profiling', done: 0, total: 0 });
+        const seedUser = seedLogin
+            ? await fetchGitHub(`${GITHUB_API_URL}/users/${encodeURIComponent(seedLogin)}`, { token, signal }).catch((err) => {
+                if (err.status === 404) throw new GitHubApiError(`No GitHub user @${seedLogin}`, { status: 404 });
+                throw err;
+            })
+            : undefined;
+        const teamUsers = team ? await getTeamUsers(token, team, { signal }) : undefined;
+        session = await createSearchSession(token, currentUser, { seedUser, teamUsers, teamWeights, repo, filters, quality, languageMode, activeHours, excludeLogins, signal });
+    }
+    for (const login of [...excludeLogins, ...dismissedLogins]) {
+        session.excludeSet.add(login.toLowerCase());
+    }
+    sessionCache.set(key, session);
 
-            const matchInfo = calculateScore(myProfile, data);
-            if (matchInfo.score <= 0) return null;
+    return nextSessionPage(token, session, { pageSize, weights, diversity, signal, onMatch, onProgress });
+};
 
-            return normalizeUser(data.user, matchInfo);
-        } catch {
-            return null;
-        }
-    });
+/**
+ * Find and rank organizations in my ecosystem, one page at a time (Organizations tab).
+ * Matches carry memberCount, followedMembers and topRepos besides the usual match fields.
+ */
+export const searchOrgs = async (token, currentUser, opts = {}) => {
+    const { page = 1, pageSize = CONFIG.pageSize, dismissedLogins = [], signal, onMatch } = opts;
 
-    // Filter and sort
-    const validResults = scored.filter(Boolean).sort((a, b) => b.matchScore - a.matchScore);
+    // Mock mode
+    if (token === 'mock_token') {
+        const mockOrgs = [
+            {
+                id: 101, login: 'vercel', name: 'Vercel', avatar_url: 'https://github.com/vercel.png', html_url: 'https://github.com/vercel',
+                description: 'Develop. Preview. Ship.', memberCount: 100, membersCapped: true, followedMembers: ['leerob'],
+                topRepos: [{ name: 'next.js', html_url: 'https://github.com/vercel/next.js', language: 'JavaScript', stars: 120000 }],
+                matchScore: 81, matchReasons: ['Builds with TypeScript', 'You follow leerob'], languages: ['TypeScript'],
+            },
+            {
+                id: 102, login: 'sveltejs', name: 'Svelte', avatar_url: 'https://github.com/sveltejs.png', html_url: 'https://github.com/sveltejs',
+                description: 'Cybernetically enhanced web apps.', memberCount: 24, membersCapped: false, followedMembers: [],
+                topRepos: [{ name: 'svelte', html_url: 'https://github.com/sveltejs/svelte', language: 'JavaScript', stars: 78000 }],
+                matchScore: 64, matchReasons: ['Builds with JavaScript'], languages: ['JavaScript'],
+            },
+        ];
+        const hidden = new Set(dismissedLogins.map((l) => l.toLowerCase()));
+        const visible = mockOrgs.filter((o) => !hidden.has(o.login));
+        await new Promise((r) => setTimeout(r, 300));
+        const start = (page - 1) * pageSize;
+        const items = visible.slice(start, start + pageSize);
+        items.forEach((o) => onMatch?.(o));
+        return { items, hasMore: visible.length > start + pageSize };
+    }
 
-    const items = validResults.slice(0, pageSize);
-    const hasMore = validResults.length > pageSize || candidates.length > CONFIG.maxCandidatesToScore;
+    const key = `orgs:${currentUser.login.toLowerCase()}`;
+    let session = page > 1 ? sessionCache.get(key) : undefined;
+    if (!session) session = await createOrgSession(token, currentUser, { signal });
+    for (const login of dismissedLogins) session.excludeSet.add(login.toLowerCase());
+    sessionCache.set(key, session);
 
-    return { items, hasMore };
+    return nextOrgPage(token, session, { pageSize, signal, onMatch });
 };
 
 /**
- * Clear all internal caches (call on logout to force fresh data)
+ * Clear all internal caches and rate-limit bookkeeping (call on logout to force fresh data)
  */
 export const clearCaches = () => {
     profileCache.clear();
     searchCache.clear();
     userCache.clear();
+    sessionCache.clear();
+    scheduler.reset();
+    httpCache.clear();
     console.log('[GitHug] All caches cleared');
 };
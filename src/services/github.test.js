@@ -4,6 +4,28 @@ import { clearCaches } from './github'
 // Mock fetch globally
 global.fetch = vi.fn()
 
+const jsonResponse = (body, { status = 200, headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+  headers: new Headers(headers),
+})
+
+// Route mocked GitHub calls by URL substring (first match wins, unmatched => [])
+// Each route is [pattern, body | (url, init) => body, { status, headers }?]
+const mockGitHubRoutes = (routes) => {
+  global.fetch.mockImplementation((url, init) => {
+    const route = routes.find(([pattern]) => url.includes(pattern))
+    const body = route ? (typeof route[1] === 'function' ? route[1](url, init) : route[1]) : []
+    return Promise.resolve(jsonResponse(body, route?.[2]))
+  })
+}
+
+const searchedQueries = () => global.fetch.mock.calls
+  .map(([url]) => url)
+  .filter((url) => url.includes('/search/users'))
+  .map((url) => new URL(url).searchParams.get('q'))
+
 describe('GitHub Service', () => {
   beforeEach(() => {
     vi.clearAllMocks()
@@ -100,6 +122,1129 @@ describe('GitHub Service', () => {
       expect(result.items).toHaveLength(2)
       expect(result.hasMore).toBe(true)
     })
+
+    it('should exclude dismissed logins', async () => {
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('mock_token', { login: 'mockuser' }, { dismissedLogins: ['Shadcn'] })
+
+      expect(result.items.map((u) => u.login)).not.toContain('shadcn')
+      expect(result.items).toHaveLength(3)
+    })
+  })
+
+  describe('searchUsers filters', () => {
+    const me = { login: 'me', location: 'Rome, Italy' }
+    const candidate = (login, extra = {}) => ({
+      id: login.length, login, type: 'User', followers: 10, following: 5,
+      created_at: new Date().toISOString(), location: 'Berlin, Germany', ...extra,
+    })
+
+    it('should build queries from the filters and drop candidates outside them', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'TypeScript', pushed_at: new Date().toISOString() }]],
+        ['/search/users', { items: [{ login: 'gopher' }, { login: 'famous' }] }],
+        ['/users/gopher/repos', [{ language: 'Go', pushed_at: new Date().toISOString() }]],
+        ['/users/famous/repos', [{ language: 'Go', pushed_at: new Date().toISOString() }]],
+        ['/users/gopher', candidate('gopher')],
+        ['/users/famous', candidate('famous', { followers: 5000 })],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, {
+        filters: { location: 'Berlin', languages: ['Go'], maxFollowers: 50, maxAccountAgeYears: 1 },
+      })
+
+      const queries = searchedQueries()
+      expect(queries.length).toBeGreaterThan(0)
+      expect(queries.every((q) => q.includes('created:>='))).toBe(true)
+      expect(queries).toContainEqual(expect.stringMatching(/followers:<=50 language:Go/))
+      expect(queries).toContainEqual(expect.stringMatching(/location:"Berlin" language:Go/))
+      expect(queries.some((q) => q.includes('TypeScript'))).toBe(false)
+      expect(result.items.map((u) => u.login)).toEqual(['gopher'])
+    })
+
+    it('should swap a reversed follower range instead of searching an empty one', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: new Date().toISOString() }]],
+        ['/search/users', { items: [] }],
+      ])
+      const { searchUsers } = await import('./github')
+
+      await searchUsers('real_token', me, { filters: { minFollowers: 500, maxFollowers: 50 } })
+
+      const ranges = searchedQueries().map((q) => q.match(/followers:\S+/)?.[0]).filter(Boolean)
+      expect(ranges.length).toBeGreaterThan(0)
+      expect(ranges.every((r) => r === 'followers:50..500')).toBe(true)
+    })
+
+    it('should search canonical city and country names and score proximity by tier', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: new Date().toISOString() }]],
+        ['/search/users', { items: [{ login: 'local' }, { login: 'national' }] }],
+        ['/users/local/repos', [{ language: 'Go', pushed_at: new Date().toISOString() }]],
+        ['/users/national/repos', [{ language: 'Go', pushed_at: new Date().toISOString() }]],
+        ['/users/local', candidate('local', { location: 'Oakland, California' })],
+        ['/users/national', candidate('national', { location: 'NYC' })],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', { login: 'me', location: 'SF' })
+
+      const queries = searchedQueries()
+      expect(queries).toContainEqual(expect.stringMatching(/location:"San Francisco" language:Go/))
+      expect(queries).toContainEqual(expect.stringMatching(/location:"United States" language:Go/))
+      const local = result.items.find((u) => u.login === 'local')
+      const national = result.items.find((u) => u.login === 'national')
+      expect(local.matchFactors.sameCountry).toBe(1)
+      expect(local.matchReasons).toContain('Near you: Oakland')
+      expect(national.matchFactors.sameCountry).toBe(0.6)
+      expect(national.matchReasons).toContain('Also in United States')
+    })
+
+    it('should match the location filter through the gazetteer', async () => {
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('mock_token', { login: 'mockuser' }, { filters: { location: 'San Francisco' } })
+
+      expect(result.items.map((u) => u.login)).toEqual(['shadcn'])
+    })
+
+    it('should filter mock users by language', async () => {
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('mock_token', { login: 'mockuser' }, { filters: { languages: ['typescript'] } })
+
+      expect(result.items.map((u) => u.login)).toEqual(['shadcn', 'youyuxi'])
+    })
+  })
+
+  describe('searchUsers pagination', () => {
+    const me = { login: 'me', location: '' }
+    const recent = new Date().toISOString()
+    const goRepos = [{ language: 'Go', pushed_at: recent }]
+    const searchItems = (prefix, count) => Array.from({ length: count }, (_, i) => ({ login: `${prefix}${i}` }))
+
+    const routes = () => [
+      ['/users/me/repos', goRepos],
+      ['/users/me/', []],
+      ['/search/users', (url) => {
+        const page = Number(new URL(url).searchParams.get('page'))
+        return { items: page === 1 ? searchItems('dev', 20) : searchItems('late', 3) }
+      }],
+      ['/repos', goRepos],
+      ['/users/', (url) => ({ login: url.split('/users/')[1], type: 'User', followers: 10, following: 10 })],
+    ]
+
+    it('should advance search cursors instead of re-running page 1', async () => {
+      mockGitHubRoutes(routes())
+      const { searchUsers } = await import('./github')
+
+      const first = await searchUsers('real_token', me, { page: 1, pageSize: 12 })
+      expect(first.items).toHaveLength(12)
+      expect(first.hasMore).toBe(true)
+
+      const searchUrls = global.fetch.mock.calls.map(([url]) => url).filter((url) => url.includes('/search/users'))
+      expect(searchUrls.map((url) => new URL(url).searchParams.get('page'))).toEqual(['1', '2'])
+
+      global.fetch.mockClear()
+      const second = await searchUsers('real_token', me, { page: 2, pageSize: 12 })
+
+      // Leftover scored matches are served without touching the network again
+      expect(global.fetch).not.toHaveBeenCalled()
+      expect(second.items).toHaveLength(11)
+      expect(second.hasMore).toBe(false)
+
+      const seen = [...first.items, ...second.items].map((u) => u.login)
+      expect(new Set(seen).size).toBe(23)
+    })
+
+    it('should start a fresh session on page 1', async () => {
+      mockGitHubRoutes(routes())
+      const { searchUsers } = await import('./github')
+
+      await searchUsers('real_token', me, { page: 1, pageSize: 30 })
+      const again = await searchUsers('real_token', me, { page: 1, pageSize: 30 })
+
+      expect(again.items).toHaveLength(23)
+    })
+  })
+
+  describe('candidate snapshots via GraphQL', () => {
+    const me = { login: 'me', location: '' }
+    const recent = new Date().toISOString()
+    const node = (login) => ({
+      databaseId: login.length,
+      login,
+      name: login.toUpperCase(),
+      avatarUrl: `https://avatars/${login}`,
+      url: `https://github.com/${login}`,
+      bio: null,
+      location: null,
+      createdAt: recent,
+      followers: { totalCount: 12 },
+      following: { totalCount: 3 },
+      repositories: {
+        totalCount: 1,
+        nodes: [{
+          primaryLanguage: { name: 'Go' },
+          repositoryTopics: { nodes: [{ topic: { name: 'cli' } }] },
+          pushedAt: recent,
+          stargazerCount: 4,
+          isFork: false,
+          isArchived: false,
+        }],
+      },
+    })
+    const baseRoutes = [
+      ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+      ['/users/me/', []],
+      ['/search/users', { items: [{ login: 'alice' }, { login: 'bob' }, { login: 'some-org' }] }],
+    ]
+
+    it('should fetch the whole batch in one aliased GraphQL request', async () => {
+      mockGitHubRoutes([
+        ...baseRoutes,
+        ['/graphql', (url, init) => {
+          const { variables } = JSON.parse(init.body)
+          const data = {}
+          Object.entries(variables).forEach(([key, login], i) => {
+            data[`u${key.slice(1)}`] = login === 'some-org' ? null : node(login)
+            expect(i).toBeLessThan(15)
+          })
+          return { data, errors: [{ type: 'NOT_FOUND', path: ['u2'] }] }
+        }],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, { pageSize: 10 })
+
+      const urls = global.fetch.mock.calls.map(([url]) => url)
+      expect(urls.filter((url) => url.endsWith('/graphql'))).toHaveLength(1)
+      expect(urls.some((url) => /\/users\/(alice|bob)/.test(url))).toBe(false)
+      expect(result.items.map((u) => u.login).sort()).toEqual(['alice', 'bob'])
+      expect(result.items[0]).toMatchObject({ html_url: expect.stringContaining('github.com'), followers: 12, languages: ['Go'] })
+    })
+
+    it('should stream each match and report progress as snapshots arrive', async () => {
+      mockGitHubRoutes([
+        ...baseRoutes,
+        ['/graphql', { message: 'Bad gateway' }, { status: 502 }],
+        ['/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/', (url) => ({ login: url.split('/users/')[1], type: 'User', followers: 12, following: 3 })],
+      ])
+      const { searchUsers } = await import('./github')
+      const onMatch = vi.fn()
+      const onProgress = vi.fn()
+
+      const result = await searchUsers('real_token', me, { pageSize: 10, onMatch, onProgress })
+
+      const phases = onProgress.mock.calls.map(([p]) => p.phase)
+      expect(phases[0]).toBe('profiling')
+      expect(phases).toContain('searching')
+      expect(onProgress).toHaveBeenCalledWith({ phase: 'scoring', done: 3, total: 3 })
+      expect(onMatch.mock.calls.map(([m]) => m.login).sort()).toEqual(result.items.map((m) => m.login).sort())
+    })
+
+    it('should sample stargazers of niche starred repos and score shared stars', async () => {
+      const starred = [
+        { id: 1, full_name: 'big/hit', stargazers_count: 90000, owner: { login: 'big' } },
+        { id: 2, full_name: 'tiny/niche', stargazers_count: 12, owner: { login: 'tiny' } },
+        { id: 3, full_name: 'small/lib', stargazers_count: 40, owner: { login: 'small' } },
+      ]
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/me/starred', starred],
+        ['/users/me/', []],
+        ['/repos/tiny/niche/stargazers', [{ login: 'carol', type: 'User' }]],
+        ['/search/users', { items: [] }],
+        ['/graphql', (url, init) => {
+          const { variables } = JSON.parse(init.body)
+          const data = {}
+          Object.entries(variables).forEach(([key, login]) => {
+            data[`u${key.slice(1)}`] = {
+              ...node(login),
+              starredRepositories: login === 'carol'
+                ? { nodes: [{ databaseId: 3, nameWithOwner: 'small/lib' }, { databaseId: 1, nameWithOwner: 'big/hit' }] }
+                : { nodes: [] },
+            }
+          })
+          return { data }
+        }],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, { pageSize: 10 })
+
+      const urls = global.fetch.mock.calls.map(([url]) => url)
+      expect(urls.filter((url) => url.includes('/stargazers'))[0]).toContain('/repos/tiny/niche/stargazers')
+      const carol = result.items.find((u) => u.login === 'carol')
+      expect(carol.matchFactors.sharedStars).toBe(1)
+      expect(carol.matchReasons).toContain('You both starred tiny/niche and 2 more')
+    })
+
+    it('should only claim shared stars seen while sampling on the REST fallback', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/me/starred', [{ id: 2, full_name: 'tiny/niche', stargazers_count: 12, owner: { login: 'tiny' } }]],
+        ['/users/me/', []],
+        ['/repos/tiny/niche/stargazers', [{ login: 'carol', type: 'User' }]],
+        ['/search/users', { items: [{ login: 'dave' }] }],
+        ['/graphql', { message: 'Bad gateway' }, { status: 502 }],
+        ['/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/', (url) => ({ login: url.split('/users/')[1], type: 'User', followers: 12, following: 3 })],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 10 })
+      const byLogin = Object.fromEntries(items.map((u) => [u.login, u]))
+
+      expect(byLogin.carol.matchReasons).toContain('You both starred tiny/niche')
+      expect(byLogin.carol.matchBreakdown.find((f) => f.id === 'sharedStars').evidence).toEqual([
+        'tiny/niche', 'Their full star list was not loaded; seen while sampling stargazers',
+      ])
+      // No star list at all: left out rather than scored 0 against its full weight
+      expect(byLogin.dave.matchFactors).not.toHaveProperty('sharedStars')
+    })
+
+    it('should add people followed by your followings and explain the co-follows', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/me/following', (url) => (url.includes('page=1') ? [{ login: 'amy' }, { login: 'ben' }, { login: 'cat' }] : [])],
+        ['/users/me/', []],
+        ['/users/amy/following', [{ login: 'dana' }, { login: 'ben' }]],
+        ['/users/ben/following', [{ login: 'dana' }, { login: 'erin' }]],
+        ['/users/cat/following', [{ login: 'Dana' }]],
+        ['/search/users', { items: [] }],
+        ['/graphql', (url, init) => {
+          const { variables } = JSON.parse(init.body)
+          const data = {}
+          Object.entries(variables).forEach(([key, login]) => { data[`u${key.slice(1)}`] = node(login) })
+          return { data }
+        }],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, { pageSize: 10 })
+
+      const logins = result.items.map((u) => u.login)
+      expect(logins).not.toContain('ben')
+      expect(logins[0]).toBe('dana')
+      expect(result.items[0].matchReasons).toContain('Followed by amy, ben and 1 other you follow')
+      expect(result.items.find((u) => u.login === 'erin').matchReasons).toContain('Followed by ben, who you follow')
+    })
+
+    it('should compare repo topics as sets and score bio keywords separately', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent, topics: ['cli', 'machine-learning'] }]],
+        ['/users/me/', []],
+        ['/search/users', { items: [{ login: 'alice' }, { login: 'bob' }] }],
+        ['/graphql', (url, init) => {
+          const { variables } = JSON.parse(init.body)
+          const data = {}
+          Object.entries(variables).forEach(([key, login]) => {
+            data[`u${key.slice(1)}`] = { ...node(login), bio: login === 'bob' ? 'Machine learning at night' : null }
+          })
+          return { data }
+        }],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, { pageSize: 10 })
+
+      const alice = result.items.find((u) => u.login === 'alice')
+      const bob = result.items.find((u) => u.login === 'bob')
+      expect(alice.matchFactors).toMatchObject({ topicOverlap: 1 / 3, bioKeyword: 0 })
+      expect(alice.matchReasons).toContain('Shared topics: cli')
+      expect(bob.matchFactors.bioKeyword).toBe(0.5)
+      expect(bob.matchReasons).toContain('Bio: machine-learning')
+      expect(bob.matchScore).toBeGreaterThan(alice.matchScore)
+
+      // Structured breakdown: one entry per factor with its evidence
+      const topics = alice.matchBreakdown.find((f) => f.id === 'topicOverlap')
+      expect(topics).toEqual({ id: 'topicOverlap', fraction: 1 / 3, weight: 18, points: 6, evidence: ['cli'] })
+      expect(alice.matchBreakdown.find((f) => f.id === 'languageOverlap')).toMatchObject({ points: 30, evidence: ['Go'] })
+      expect(alice.matchBreakdown.map((f) => f.id)).toEqual(expect.arrayContaining(Object.keys(alice.matchFactors)))
+    })
+
+    const graphqlWith = (override) => ['/graphql', (url, init) => {
+      const { variables } = JSON.parse(init.body)
+      const data = {}
+      Object.entries(variables).forEach(([key, login]) => { data[`u${key.slice(1)}`] = { ...node(login), ...override(login) } })
+      return { data }
+    }]
+
+    it('should give partial credit to languages of the same family', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'TypeScript', pushed_at: recent }]],
+        ['/users/me/', []],
+        ['/search/users', { items: [{ login: 'alice' }] }],
+        graphqlWith(() => ({
+          repositories: { totalCount: 1, nodes: [{ primaryLanguage: { name: 'JavaScript' }, pushedAt: recent, isFork: false, isArchived: false }] },
+        })),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const [alice] = (await searchUsers('real_token', me, { pageSize: 10 })).items
+
+      expect(alice.matchFactors.languageOverlap).toBe(0.5)
+      expect(alice.matchReasons).toContain('Uses JavaScript (close to your TypeScript)')
+      expect(alice.languages).toEqual(['JavaScript'])
+    })
+
+    it('should score byte-weighted language vectors with cosine similarity', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ full_name: 'me/app', language: 'Go', pushed_at: recent }]],
+        ['/users/me/', []],
+        ['/repos/me/app/languages', { Go: 900, Shell: 100 }],
+        ['/search/users', { items: [{ login: 'alice' }] }],
+        graphqlWith(() => ({
+          repositories: {
+            totalCount: 1,
+            nodes: [{
+              primaryLanguage: { name: 'Go' },
+              pushedAt: recent,
+              isFork: false,
+              isArchived: false,
+              languages: { edges: [{ size: 500, node: { name: 'Go' } }] },
+            }],
+          },
+        })),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const [alice] = (await searchUsers('real_token', me, { pageSize: 10, languageMode: 'bytes' })).items
+
+      expect(global.fetch.mock.calls.map(([url]) => url)).toContain('https://api.github.com/repos/me/app/languages')
+      expect(alice.matchFactors.languageOverlap).toBeCloseTo(900 / Math.sqrt(900 ** 2 + 100 ** 2))
+      expect(alice.matchReasons).toContain('Uses Go')
+    })
+
+    it('should compare activity hours from public events when asked', async () => {
+      // 20 events at the given UTC hours
+      const events = (...hours) => Array.from({ length: 20 }, (_, i) => ({
+        created_at: `2026-01-${String(i + 1).padStart(2, '0')}T${String(hours[i % hours.length]).padStart(2, '0')}:30:00Z`,
+      }))
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/me/events/public', events(18, 19, 20)],
+        ['/users/alice/events/public', events(19, 20)],
+        ['/users/bob/events/public', events(6, 7)],
+        ['/users/me/', []],
+        ['/search/users', { items: [{ login: 'alice' }, { login: 'bob' }, { login: 'carl' }] }],
+        ['/users/carl/events/public', []],
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 10, activeHours: true })
+      const byLogin = Object.fromEntries(items.map((u) => [u.login, u]))
+
+      expect(byLogin.alice.matchReasons).toContain('Codes at similar hours')
+      expect(byLogin.alice.matchFactors.activeHours).toBeGreaterThan(0.8)
+      expect(byLogin.bob.matchFactors.activeHours).toBe(0)
+      expect(byLogin.bob.matchReasons).not.toContain('Codes at similar hours')
+      // Too few events: the factor is left out rather than scored as zero
+      expect(byLogin.carl.matchFactors).not.toHaveProperty('activeHours')
+      expect(byLogin.alice.matchBreakdown.find((f) => f.id === 'activeHours').evidence[0]).toMatch(/^You ~UTC[+-]\d+, them ~UTC[+-]\d+$/)
+    })
+
+    it('should match against a seed profile while excluding my own followings', async () => {
+      mockGitHubRoutes([
+        ['/users/me/following', [{ login: 'bob' }]],
+        ['/users/me/', []],
+        ['/users/alice/repos', [{ language: 'Rust', pushed_at: recent }]],
+        ['/users/alice/starred', [{ id: 7, full_name: 'carl/tool', owner: { login: 'carl' }, stargazers_count: 1 }]],
+        ['/users/alice/', []],
+        ['/users/alice', { login: 'alice', location: 'Berlin' }],
+        ['/search/users', { items: [{ login: 'alice' }, { login: 'bob' }, { login: 'dana' }] }],
+        graphqlWith(() => ({
+          location: 'Berlin',
+          repositories: { totalCount: 1, nodes: [{ primaryLanguage: { name: 'Rust' }, pushedAt: recent, isFork: false, isArchived: false }] },
+        })),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 10, seedLogin: '@Alice' })
+      const logins = items.map((u) => u.login)
+
+      expect(searchedQueries().some((q) => q.includes('language:Rust'))).toBe(true)
+      expect(logins).toEqual(expect.arrayContaining(['carl', 'dana']))
+      expect(logins).not.toContain('alice')
+      expect(logins).not.toContain('bob')
+      const carl = items.find((u) => u.login === 'carl')
+      expect(carl.matchReasons).toContain('@alice starred their repos')
+      expect(carl.matchReasons).toContain('Near @alice: Berlin')
+    })
+
+    it('should name an unknown seed account and refuse a seed together with a team', async () => {
+      mockGitHubRoutes([
+        ['/users/me/', []],
+        ['/users/ghost', { message: 'Not Found' }, { status: 404 }],
+      ])
+      const { searchUsers } = await import('./github')
+
+      await expect(searchUsers('real_token', me, { seedLogin: 'Ghost' })).rejects.toThrow('No GitHub user @ghost')
+      await expect(searchUsers('real_token', me, { seedLogin: 'alice', team: 'ann, bob' })).rejects.toThrow('not both')
+    })
+
+    it('should draw candidates from a repository community and explain it', async () => {
+      mockGitHubRoutes([
+        ['/users/me/following', [{ login: 'bob' }]],
+        ['/users/me/', []],
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/repos/acme/lib/contributors', [{ login: 'alice', type: 'User' }, { login: 'bob', type: 'User' }, { login: 'ci[bot]', type: 'Bot' }]],
+        ['/repos/acme/lib/issues', [{ user: { login: 'carl', type: 'User' } }, { user: { login: 'alice', type: 'User' } }]],
+        ['/repos/acme/lib/stargazers', [{ login: 'dana', type: 'User' }]],
+        ['/repos/acme/lib', { full_name: 'acme/lib', stargazers_count: 95 }],
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 10, repo: 'https://github.com/Acme/lib' })
+      const byLogin = Object.fromEntries(items.map((u) => [u.login, u]))
+
+      expect(searchedQueries()).toEqual([])
+      expect(global.fetch.mock.calls.map(([url]) => url)).toContain('https://api.github.com/repos/acme/lib/stargazers?per_page=100&page=1')
+      expect(Object.keys(byLogin).sort()).toEqual(['alice', 'carl', 'dana'])
+      expect(byLogin.alice.matchReasons[0]).toBe('Contributes to acme/lib')
+      expect(byLogin.carl.matchReasons[0]).toBe('Contributes to acme/lib')
+      expect(byLogin.dana.matchReasons[0]).toBe('Recently starred acme/lib')
+    })
+
+    it('should sample the last reachable stargazers page of a very popular repository', async () => {
+      const stargazers = Array.from({ length: 100 }, (_, i) => ({ login: `fan${i}`, type: 'User' }))
+      mockGitHubRoutes([
+        ['/users/me/', []],
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/repos/huge/lib/stargazers', (url) => (new URL(url).searchParams.get('page') === '400'
+          ? stargazers
+          : [])],
+        ['/repos/huge/lib', { full_name: 'huge/lib', stargazers_count: 250000 }],
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 50, repo: 'huge/lib' })
+
+      expect(global.fetch.mock.calls.map(([url]) => url)).toContain('https://api.github.com/repos/huge/lib/stargazers?per_page=100&page=400')
+      // The newest 30 of that page
+      expect(items.map((u) => u.login).sort()).toEqual(stargazers.slice(70).map((u) => u.login).sort())
+    })
+
+    it('should top up a nearly empty last stargazers page from the page before it', async () => {
+      const stargazers = Array.from({ length: 101 }, (_, i) => ({ login: `fan${i}`, type: 'User' }))
+      mockGitHubRoutes([
+        ['/users/me/', []],
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/repos/small/lib/stargazers', (url) => (new URL(url).searchParams.get('page') === '2'
+          ? stargazers.slice(100)
+          : stargazers.slice(0, 100))],
+        ['/repos/small/lib', { full_name: 'small/lib', stargazers_count: 101 }],
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 50, repo: 'small/lib' })
+
+      expect(global.fetch.mock.calls.map(([url]) => url)).toContain('https://api.github.com/repos/small/lib/stargazers?per_page=100&page=1')
+      // The newest 30 across both pages
+      expect(items.map((u) => u.login).sort()).toEqual(stargazers.slice(71).map((u) => u.login).sort())
+    })
+
+    it('should fail a repository search when a community list errors instead of returning nothing', async () => {
+      mockGitHubRoutes([
+        ['/users/me/', []],
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/repos/huge/lib/stargazers', { message: 'pagination is limited for this resource' }, { status: 422 }],
+        ['/repos/huge/lib', { full_name: 'huge/lib', stargazers_count: 10 }],
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers } = await import('./github')
+
+      await expect(searchUsers('real_token', me, { pageSize: 10, repo: 'huge/lib' })).rejects.toThrow('pagination is limited')
+    })
+
+    it('should match a team as one profile and report the closest member', async () => {
+      mockGitHubRoutes([
+        ['/users/me/following', [{ login: 'bob' }]],
+        ['/users/ann/following', [{ login: 'carl' }]],
+        ['/users/ann/repos', [{ language: 'Rust', pushed_at: recent }]],
+        ['/users/ann/', []],
+        ['/users/ann', { login: 'ann', location: '' }],
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/me/', []],
+        ['/users/me', { login: 'me', location: '' }],
+        ['/search/users', { items: [{ login: 'bob' }, { login: 'carl' }, { login: 'gopher' }, { login: 'crab' }] }],
+        graphqlWith((login) => ({
+          repositories: {
+            totalCount: 1,
+            nodes: [{ primaryLanguage: { name: login === 'crab' ? 'Rust' : 'Go' }, pushedAt: recent, isFork: false, isArchived: false }],
+          },
+        })),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 10, team: '@me, Ann', teamWeights: { Ann: 2 } })
+      const byLogin = Object.fromEntries(items.map((u) => [u.login, u]))
+
+      // Ann weighs double, so her language leads the aggregate profile
+      expect(searchedQueries()[0]).toContain('language:Rust')
+      expect(Object.keys(byLogin).sort()).toEqual(['crab', 'gopher'])
+      expect(byLogin.crab.closestMember.login).toBe('ann')
+      expect(byLogin.gopher.closestMember.login).toBe('me')
+    })
+
+    it('should resolve org team members and explain missing teams', async () => {
+      mockGitHubRoutes([
+        ['/orgs/acme/teams/core/members', [{ login: 'ann' }]],
+        ['/orgs/acme/teams/ghost/members', { message: 'Not Found' }, { status: 404 }],
+        ['/users/ann/repos', [{ language: 'Rust', pushed_at: recent }]],
+        ['/users/ann/', []],
+        ['/users/ann', { login: 'ann', location: '' }],
+        ['/users/me/', []],
+        ['/search/users', { items: [{ login: 'crab' }] }],
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers } = await import('./github')
+
+      await searchUsers('real_token', me, { pageSize: 10, team: 'acme/core' })
+      expect(searchedQueries()[0]).toContain('language:Rust')
+
+      await expect(searchUsers('real_token', me, { team: 'acme/ghost' })).rejects.toThrow('Team acme/ghost not found, or GitHug needs org access')
+    })
+
+    it('should turn away bots, empty profiles, follow farms and inactive accounts', async () => {
+      const old = '2020-01-01T00:00:00Z'
+      const forkOnly = { totalCount: 1, nodes: [{ primaryLanguage: { name: 'Go' }, pushedAt: recent, isFork: true, isArchived: false }] }
+      const stale = { totalCount: 1, nodes: [{ primaryLanguage: { name: 'Go' }, pushedAt: old, isFork: false, isArchived: false }] }
+      mockGitHubRoutes([
+        ...baseRoutes.filter(([pattern]) => pattern !== '/search/users'),
+        ['/search/users', { items: ['ok', 'ci[bot]', 'forker', 'farmer', 'sleeper'].map((login) => ({ login })) }],
+        graphqlWith((login) => ({
+          forker: { repositories: forkOnly },
+          farmer: { following: { totalCount: 5000 }, followers: { totalCount: 10 } },
+          sleeper: { repositories: stale },
+        })[login] || {}),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, { pageSize: 10 })
+
+      expect(result.items.map((u) => u.login)).toEqual(['ok'])
+      expect(result.rejected).toEqual({ bot: 1, noRepos: 1, followFarm: 1, inactive: 1 })
+      // The bot never costs a snapshot
+      const graphqlLogins = global.fetch.mock.calls
+        .filter(([url]) => url.includes('/graphql'))
+        .flatMap(([, init]) => Object.values(JSON.parse(init.body).variables))
+      expect(graphqlLogins).not.toContain('ci[bot]')
+    })
+
+    it('should honor quality overrides', async () => {
+      mockGitHubRoutes([
+        ...baseRoutes.filter(([pattern]) => pattern !== '/search/users'),
+        ['/search/users', { items: [{ login: 'sleeper' }] }],
+        graphqlWith(() => ({
+          repositories: { totalCount: 1, nodes: [{ primaryLanguage: { name: 'Go' }, pushedAt: '2020-01-01T00:00:00Z', isFork: false, isArchived: false }] },
+        })),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, { pageSize: 10, quality: { inactiveDays: 0 } })
+
+      expect(result.items.map((u) => u.login)).toEqual(['sleeper'])
+      expect(result.rejected).toEqual({})
+    })
+
+    it('should reject malformed and unknown repositories', async () => {
+      mockGitHubRoutes([
+        ['/users/me/', []],
+        ['/repos/acme/missing', { message: 'Not Found' }, { status: 404 }],
+      ])
+      const { searchUsers } = await import('./github')
+
+      await expect(searchUsers('real_token', me, { repo: 'not a repo' })).rejects.toThrow('Enter a repository as owner/repo')
+      await expect(searchUsers('real_token', me, { repo: 'acme/missing' })).rejects.toThrow('Repository acme/missing not found')
+    })
+
+    it('should tag matches with their candidate source and diversify the page', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/me/starred', [{ id: 1, full_name: 'owner/x', owner: { login: 'owner' }, stargazers_count: 1 }]],
+        ['/users/me/', []],
+        ['/search/users', { items: [{ login: 'alice' }, { login: 'bob' }] }],
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 10, diversity: 0.8 })
+      const byLogin = Object.fromEntries(items.map((u) => [u.login, u]))
+
+      expect(byLogin.owner.matchSource).toBe('starredOwner')
+      expect(byLogin.alice.matchSource).toBe('search')
+      // The starred owner scores highest and stays on top
+      expect(items[0].login).toBe('owner')
+    })
+
+    it('should not fetch events unless active hours are enabled', async () => {
+      mockGitHubRoutes([...baseRoutes, graphqlWith(() => ({}))])
+      const { searchUsers } = await import('./github')
+
+      const { items } = await searchUsers('real_token', me, { pageSize: 10 })
+
+      expect(global.fetch.mock.calls.some(([url]) => url.includes('/events/public'))).toBe(false)
+      expect(items[0].matchFactors).not.toHaveProperty('activeHours')
+    })
+
+    it('should score registered factors alongside the built-in ones', async () => {
+      mockGitHubRoutes([...baseRoutes, graphqlWith((login) => ({ bio: login === 'alice' ? 'Open to work' : null }))])
+      const { searchUsers, registerScoringFactor, rescoreMatch, getDefaultWeights, DEFAULT_WEIGHTS } = await import('./github')
+      const before = getDefaultWeights()
+      const unregister = registerScoringFactor({
+        id: 'hireable',
+        weight: 40,
+        needs: ['user'],
+        score: (myProfile, candidate) => (/open to work/i.test(candidate.user.bio || '')
+          ? { points: 40, reason: 'Open to work', evidence: ['Bio says open to work'] }
+          : { points: 0 }),
+      })
+      try {
+        expect(getDefaultWeights().hireable).toBe(40)
+        // Snapshots already handed out and the built-in defaults don't move
+        expect(before).not.toHaveProperty('hireable')
+        expect(DEFAULT_WEIGHTS).not.toHaveProperty('hireable')
+        expect(Object.isFrozen(getDefaultWeights())).toBe(true)
+        const { items } = await searchUsers('real_token', me, { pageSize: 10 })
+        const byLogin = Object.fromEntries(items.map((u) => [u.login, u]))
+
+        expect(items[0].login).toBe('alice')
+        expect(byLogin.alice.matchReasons).toContain('Open to work')
+        expect(byLogin.alice.matchBreakdown.find((f) => f.id === 'hireable')).toMatchObject({ points: 40, weight: 40, evidence: ['Bio says open to work'] })
+        expect(byLogin.bob.matchFactors.hireable).toBe(0)
+        // Registered factors take custom weights like the built-in ones
+        expect(rescoreMatch(byLogin.alice, { hireable: 0 }).matchScore).toBeLessThan(byLogin.alice.matchScore)
+      } finally {
+        unregister()
+      }
+      expect(getDefaultWeights()).not.toHaveProperty('hireable')
+    })
+
+    it('should fetch public events for every candidate when a registered factor needs them', async () => {
+      mockGitHubRoutes([
+        ...baseRoutes.slice(0, 2),
+        ['/users/alice/events/public', [{ type: 'PushEvent', created_at: recent }]],
+        ['/users/bob/events/public', []],
+        ...baseRoutes.slice(2),
+        graphqlWith(() => ({})),
+      ])
+      const { searchUsers, registerScoringFactor } = await import('./github')
+      const unregister = registerScoringFactor({
+        id: 'pushes',
+        weight: 10,
+        needs: ['events'],
+        score: (myProfile, candidate) => ({ points: candidate.events.length > 0 ? 10 : 0 }),
+      })
+      try {
+        const { items } = await searchUsers('real_token', me, { pageSize: 10 })
+        const byLogin = Object.fromEntries(items.map((u) => [u.login, u]))
+
+        expect(byLogin.alice.matchFactors.pushes).toBe(1)
+        expect(byLogin.bob.matchFactors.pushes).toBe(0)
+        // Active hours stay opt-in even though events were fetched
+        expect(byLogin.alice.matchFactors).not.toHaveProperty('activeHours')
+      } finally {
+        unregister()
+      }
+    })
+
+    it('should not fetch events for an opt-in factor unless active hours are on', async () => {
+      mockGitHubRoutes([...baseRoutes, graphqlWith(() => ({}))])
+      const { searchUsers, registerScoringFactor } = await import('./github')
+      const score = vi.fn(() => ({ points: 10 }))
+      const unregister = registerScoringFactor({ id: 'lazyPushes', weight: 10, needs: ['events'], optIn: true, score })
+      try {
+        const { items } = await searchUsers('real_token', me, { pageSize: 10 })
+
+        expect(global.fetch.mock.calls.some(([url]) => url.includes('/events/public'))).toBe(false)
+        expect(score).not.toHaveBeenCalled()
+        expect(items[0].matchFactors).not.toHaveProperty('lazyPushes')
+      } finally {
+        unregister()
+      }
+    })
+
+    it('should reject invalid scoring factors', async () => {
+      const { registerScoringFactor } = await import('./github')
+      expect(() => registerScoringFactor({ id: 'languageOverlap', weight: 5, score: () => null })).toThrow(/already registered/)
+      expect(() => registerScoringFactor({ id: 'x', weight: 0, score: () => null })).toThrow(/positive weight/)
+      expect(() => registerScoringFactor({ id: 'x', weight: 5, needs: ['gists'], score: () => null })).toThrow(/unknown data "gists"/)
+      expect(() => registerScoringFactor({ id: 'x', weight: 5 })).toThrow(/score function/)
+    })
+
+    it('should fall back to REST when GraphQL fails', async () => {
+      mockGitHubRoutes([
+        ...baseRoutes,
+        ['/graphql', { message: 'Bad gateway' }, { status: 502 }],
+        ['/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/', (url) => ({ login: url.split('/users/')[1], type: 'User', followers: 12, following: 3 })],
+      ])
+      const { searchUsers } = await import('./github')
+
+      const result = await searchUsers('real_token', me, { pageSize: 10 })
+
+      const urls = global.fetch.mock.calls.map(([url]) => url)
+      expect(urls).toContain('https://api.github.com/users/alice')
+      expect(urls).toContain('https://api.github.com/users/bob/repos?per_page=10&sort=pushed')
+      expect(result.items.map((u) => u.login)).toContain('alice')
+    })
+
+    it('should skip factors needing stars on the REST fallback, where none were loaded', async () => {
+      mockGitHubRoutes([
+        ...baseRoutes,
+        ['/graphql', { message: 'Bad gateway' }, { status: 502 }],
+        ['/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/', (url) => ({ login: url.split('/users/')[1], type: 'User', followers: 12, following: 3 })],
+      ])
+      const { searchUsers, registerScoringFactor } = await import('./github')
+      const score = vi.fn(() => ({ points: 0 }))
+      const unregister = registerScoringFactor({ id: 'starCount', weight: 10, needs: ['starred'], score })
+      try {
+        const { items } = await searchUsers('real_token', me, { pageSize: 10 })
+
+        expect(score).not.toHaveBeenCalled()
+        expect(items[0].matchFactors).not.toHaveProperty('starCount')
+        expect(items[0].matchFactors).not.toHaveProperty('sharedStars')
+      } finally {
+        unregister()
+      }
+    })
+  })
+
+  describe('searchOrgs', () => {
+    const me = { login: 'me', location: 'Berlin' }
+    const recent = new Date().toISOString()
+
+    it('should search organizations and score them from repos and members', async () => {
+      mockGitHubRoutes([
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent, topics: ['cli'] }]],
+        ['/users/me/following', [{ login: 'ann' }]],
+        ['/users/me/orgs', [{ login: 'mine' }]],
+        ['/users/me/', []],
+        ['/search/users', { items: [{ login: 'gophers', type: 'Organization' }, { login: 'mine', type: 'Organization' }, { login: 'web', type: 'Organization' }] }],
+        ['/orgs/gophers/repos', [
+          { name: 'tool', language: 'Go', pushed_at: recent, topics: ['cli'], stargazers_count: 50 },
+          { name: 'fork', language: 'Go', pushed_at: recent, fork: true, stargazers_count: 900 },
+        ]],
+        ['/orgs/gophers/public_members', [{ login: 'ann' }, { login: 'bo' }]],
+        ['/orgs/gophers', { id: 1, login: 'gophers', name: 'Gophers', public_repos: 2 }],
+        ['/orgs/web/repos', [{ name: 'site', language: 'PHP', pushed_at: '2015-01-01T00:00:00Z' }]],
+        ['/orgs/web', { id: 2, login: 'web' }],
+      ])
+      const { searchOrgs } = await import('./github')
+      const onMatch = vi.fn()
+
+      const { items } = await searchOrgs('real_token', me, { onMatch })
+
+      const queries = searchedQueries()
+      expect(queries).toContain('type:org repos:>5 language:Go')
+      expect(queries).toContain('type:org location:"Berlin" language:Go')
+      expect(items.map((o) => o.login)).toEqual(['gophers'])
+      const [gophers] = items
+      expect(gophers).toMatchObject({ memberCount: 2, followedMembers: ['ann'], membersCapped: false })
+      expect(gophers.topRepos.map((r) => r.name)).toEqual(['tool'])
+      expect(gophers.matchReasons).toEqual(['Builds with Go', 'Shared topics: cli', 'You follow ann'])
+      expect(gophers.matchBreakdown.map((f) => f.id)).toEqual(['languageOverlap', 'topicOverlap', 'followedMembers', 'recentActivity'])
+      expect(onMatch).toHaveBeenCalledWith(gophers)
+    })
+
+    it('should return mock organizations in mock mode', async () => {
+      const { searchOrgs } = await import('./github')
+
+      const { items } = await searchOrgs('mock_token', { login: 'mockuser' }, { dismissedLogins: ['Vercel'] })
+
+      expect(items.map((o) => o.login)).toEqual(['sveltejs'])
+    })
+  })
+
+  describe('rate-limit scheduler', () => {
+    const inOneMinute = () => String(Math.floor(Date.now() / 1000) + 60)
+
+    it('should honor retry-after and retry secondary rate limits', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ message: 'You have exceeded a secondary rate limit' }, {
+          status: 403,
+          headers: { 'retry-after': '0' },
+        }))
+        .mockResolvedValueOnce(jsonResponse({ login: 'octocat' }))
+
+      const { getProfile } = await import('./github')
+
+      await expect(getProfile('real_token')).resolves.toEqual({ login: 'octocat' })
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not call GitHub again once a bucket is exhausted', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({ login: 'octocat' }, {
+        headers: { 'x-ratelimit-resource': 'core', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': inOneMinute() },
+      }))
+      const { getProfile } = await import('./github')
+
+      await getProfile('real_token')
+      await expect(getProfile('real_token')).rejects.toThrow(/Rate limit exceeded/)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('should shrink the candidate budget when quota is low', async () => {
+      const recent = new Date().toISOString()
+      const quota = (resource, remaining) => ({
+        headers: { 'x-ratelimit-resource': resource, 'x-ratelimit-remaining': String(remaining), 'x-ratelimit-reset': inOneMinute() },
+      })
+      mockGitHubRoutes([
+        ['/starred', [], quota('core', 30)],
+        ['/following', [], quota('core', 30)],
+        ['/orgs', [], quota('core', 30)],
+        ['/search/users', { items: Array.from({ length: 20 }, (_, i) => ({ login: `dev${i}` })) }, quota('search', 25)],
+        ['/graphql', { message: 'Bad gateway' }, { status: 502, ...quota('graphql', 0) }],
+        ['/repos', [{ language: 'Go', pushed_at: recent }], quota('core', 30)],
+        ['/users/', (url) => ({ login: url.split('/users/')[1], type: 'User', followers: 1, following: 1 }), quota('core', 30)],
+      ])
+      const { searchUsers } = await import('./github')
+
+      // First search learns that GraphQL is out of quota
+      const warmup = await searchUsers('real_token', { login: 'warmup', location: '' }, { pageSize: 12 })
+      expect(warmup.items).toHaveLength(12)
+
+      const result = await searchUsers('real_token', { login: 'me', location: '' }, { pageSize: 12 })
+
+      // Two scoring rounds of (30 core calls - 20 reserve) / 2 calls per candidate
+      expect(result.items).toHaveLength(10)
+      expect(result.rateLimited).toBe(true)
+      expect(result.hasMore).toBe(true)
+    })
+  })
+
+  describe('followUser / unfollowUser', () => {
+    it('should PUT to /user/following and handle 204 responses', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 204,
+        headers: new Headers(),
+      })
+
+      const { followUser } = await import('./github')
+      const result = await followUser('real_token', 'octocat')
+
+      expect(result).toEqual({ login: 'octocat', following: true })
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.github.com/user/following/octocat',
+        expect.objectContaining({ method: 'PUT' })
+      )
+    })
+
+    it('should DELETE to /user/following when unfollowing', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 204,
+        headers: new Headers(),
+      })
+
+      const { unfollowUser } = await import('./github')
+      await unfollowUser('real_token', 'octocat')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.github.com/user/following/octocat',
+        expect.objectContaining({ method: 'DELETE' })
+      )
+    })
+
+    it('should reject with GitHubApiError when GitHub refuses', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ message: 'Not Found' }),
+        headers: new Headers(),
+      })
+
+      const { followUser } = await import('./github')
+
+      await expect(followUser('real_token', 'ghost')).rejects.toMatchObject({
+        name: 'GitHubApiError',
+        status: 404,
+      })
+    })
+
+    it('should not hit the network in mock mode', async () => {
+      const { followUser } = await import('./github')
+      await followUser('mock_token', 'shadcn')
+
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('persistent HTTP cache', () => {
+    const me = { login: 'me', location: '' }
+    const recent = new Date().toISOString()
+    const profile = { login: 'etaguser', name: 'ETag User' }
+    const requestHeaders = (pattern) => global.fetch.mock.calls
+      .filter(([url]) => url.includes(pattern))
+      .map(([, init]) => init.headers)
+
+    it('should revalidate with If-None-Match and reuse the body on 304', async () => {
+      mockGitHubRoutes([['/user', profile, { headers: { etag: '"v1"' } }]])
+      const { getProfile } = await import('./github')
+      await getProfile('real_token')
+
+      mockGitHubRoutes([['/user', null, { status: 304 }]])
+      const again = await getProfile('real_token')
+
+      expect(again).toEqual(profile)
+      expect(requestHeaders('/user')[1]).toMatchObject({ 'If-None-Match': '"v1"' })
+    })
+
+    it('should forget stored validators on clearCaches', async () => {
+      mockGitHubRoutes([['/user', profile, { headers: { etag: '"v1"' } }]])
+      const { getProfile, clearCaches } = await import('./github')
+      await getProfile('real_token')
+
+      clearCaches()
+      await getProfile('real_token')
+
+      expect(requestHeaders('/user')[1]).not.toHaveProperty('If-None-Match')
+    })
+
+    it('should serve user repos stale-while-revalidate', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      const routes = (reposOptions) => [
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }], reposOptions],
+        ['/users/me/', []],
+        ['/search/users', { items: [{ login: 'alice' }] }],
+        ['/graphql', { message: 'Bad gateway' }, { status: 502 }],
+        ['/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/', (url) => ({ login: url.split('/users/')[1], type: 'User', followers: 12, following: 3 })],
+      ]
+      try {
+        mockGitHubRoutes(routes({ headers: { etag: '"repos"' } }))
+        const { searchUsers } = await import('./github')
+        await searchUsers('real_token', me, { pageSize: 10 })
+
+        // Past every in-memory TTL: only the persistent layer still holds the repos
+        vi.setSystemTime(Date.now() + 60 * 60_000)
+        global.fetch.mockClear()
+        mockGitHubRoutes(routes({ status: 304 }))
+        const result = await searchUsers('real_token', me, { pageSize: 10 })
+
+        expect(result.items.map((u) => u.login)).toEqual(['alice'])
+        expect(result.items[0].matchReasons.join(' ')).toContain('Go')
+        expect(requestHeaders('/users/me/repos')).toEqual([
+          expect.objectContaining({ 'If-None-Match': '"repos"' }),
+        ])
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('should never serve repository lists such as stargazers stale', async () => {
+      const graphqlWith = (override) => ['/graphql', (url, init) => {
+        const { variables } = JSON.parse(init.body)
+        const data = {}
+        Object.entries(variables).forEach(([key, login]) => {
+          data[`u${key.slice(1)}`] = { login, type: 'User', repositories: { totalCount: 1, nodes: [{ primaryLanguage: { name: 'Go' }, pushedAt: recent, isFork: false, isArchived: false }] }, ...override(login) }
+        })
+        return { data }
+      }]
+      const routes = (fan) => [
+        ['/users/me/repos', [{ language: 'Go', pushed_at: recent }]],
+        ['/users/me/', []],
+        ['/repos/acme/lib/stargazers', [{ login: fan, type: 'User' }], { headers: { etag: `"${fan}"` } }],
+        ['/repos/acme/lib', { full_name: 'acme/lib', stargazers_count: 1 }, { headers: { etag: '"meta"' } }],
+        graphqlWith(() => ({})),
+      ]
+      mockGitHubRoutes(routes('dana'))
+      const { searchUsers } = await import('./github')
+      await searchUsers('real_token', me, { pageSize: 10, repo: 'acme/lib' })
+
+      // A new star since: the stored list must be revalidated, not served
+      mockGitHubRoutes(routes('erin'))
+      const { items } = await searchUsers('real_token', me, { pageSize: 10, repo: 'acme/lib', quality: { inactiveDays: 730 } })
+
+      expect(items.map((u) => u.login)).toEqual(['erin'])
+      expect(requestHeaders('/repos/acme/lib/stargazers')[1]).toMatchObject({ 'If-None-Match': '"dana"' })
+    })
+  })
+
+  describe('diversifyMatches', () => {
+    const m = (login, matchScore, language, location, matchSource) => ({ login, matchScore, languages: [language], location, matchSource })
+    const matches = [
+      m('ts1', 90, 'TypeScript', 'Berlin', 'search'),
+      m('ts2', 88, 'TypeScript', 'Berlin', 'search'),
+      m('ts3', 86, 'TypeScript', 'Berlin', 'search'),
+      m('go', 70, 'Go', 'Tokyo', 'starredOwner'),
+      m('rust', 60, 'Rust', 'Paris', 'network'),
+    ]
+
+    it('should keep pure score order without diversity', async () => {
+      const { diversifyMatches } = await import('./github')
+
+      expect(diversifyMatches(matches, 0).map((x) => x.login)).toEqual(['ts1', 'ts2', 'ts3', 'go', 'rust'])
+    })
+
+    it('should mix languages, places and sources while keeping the best match on top', async () => {
+      const { diversifyMatches } = await import('./github')
+
+      const order = diversifyMatches([...matches].reverse(), 0.5).map((x) => x.login)
+
+      expect(order[0]).toBe('ts1')
+      expect(order.slice(1, 3).sort()).toEqual(['go', 'rust'])
+      expect(order.slice(3)).toEqual(['ts2', 'ts3'])
+    })
+  })
+
+  describe('rescoreMatch', () => {
+    const match = {
+      login: 'candidate',
+      matchScore: 0,
+      matchFactors: {
+        languageOverlap: 1,
+        starredOwner: 0,
+        topicOverlap: 0,
+        sameCountry: 1,
+        followerRatio: 0,
+        recentActivity: 0,
+      },
+    }
+
+    it('should score stored factors with the default weights', async () => {
+      const { rescoreMatch, DEFAULT_WEIGHTS } = await import('./github')
+
+      // (30 + 8) / 88 of the maximum
+      expect(rescoreMatch(match, DEFAULT_WEIGHTS).matchScore).toBe(43)
+    })
+
+    it('should recompute the breakdown with the new weights', async () => {
+      const { rescoreMatch } = await import('./github')
+
+      const rescored = rescoreMatch({ ...match, matchEvidence: { sameCountry: ['Same city: Rome'] } }, { sameCountry: 20 })
+
+      expect(rescored.matchBreakdown.find((f) => f.id === 'sameCountry')).toEqual({
+        id: 'sameCountry', fraction: 1, weight: 20, points: 20, evidence: ['Same city: Rome'],
+      })
+      expect(rescored.matchBreakdown.find((f) => f.id === 'starredOwner')).toMatchObject({ points: 0, evidence: [] })
+    })
+
+    it('should honor custom weights and ignore invalid values', async () => {
+      const { rescoreMatch } = await import('./github')
+
+      const boosted = rescoreMatch(match, { sameCountry: 50, starredOwner: -5, topicOverlap: 'x' })
+      // (30 + 50) / (30 + 20 + 18 + 50 + 7 + 5)
+      expect(boosted.matchScore).toBe(61)
+    })
+
+    it('should leave matches without factors untouched', async () => {
+      const { rescoreMatch } = await import('./github')
+      const legacy = { login: 'old', matchScore: 70 }
+
+      expect(rescoreMatch(legacy, { languageOverlap: 0 })).toBe(legacy)
+    })
   })
 
   describe('LRUCache behavior', () => {
@@ -0,0 +1,74 @@
+/**
+ * GitHug – persistent HTTP response cache
+ * Stores GitHub response bodies with their ETag / Last-Modified validators in
+ * IndexedDB so reloads can revalidate (304s are free) instead of refetching.
+ * Falls back to memory when IndexedDB is unavailable (private mode, tests).
+ */
+
+const DB_NAME = 'githug';
+const DB_VERSION = 1;
+const STORE = 'http';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+const run = (db, mode, fn) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Create a cache keyed by request URL.
+ * Entries: { data, etag, lastModified, storedAt }; entries older than maxAgeMs are ignored.
+ */
+export const createHttpCache = ({ maxAgeMs = 7 * 24 * 60 * 60_000 } = {}) => {
+    const memory = new Map();
+    let dbPromise = null;
+
+    const getDb = () => {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+        if (!dbPromise) dbPromise = openDatabase().catch(() => null);
+        return dbPromise;
+    };
+
+    const isFresh = (entry) => entry && Date.now() - entry.storedAt <= maxAgeMs;
+
+    return {
+        async get(key) {
+            const db = await getDb();
+            try {
+                const entry = db ? await run(db, 'readonly', (store) => store.get(key)) : memory.get(key);
+                return isFresh(entry) ? entry : undefined;
+            } catch {
+                return undefined;
+            }
+        },
+
+        async set(key, entry) {
+            const db = await getDb();
+            try {
+                if (db) await run(db, 'readwrite', (store) => store.put(entry, key));
+                else memory.set(key, entry);
+            } catch {
+                // ignore quota / private mode errors
+            }
+        },
+
+        async clear() {
+            memory.clear();
+            const db = await getDb();
+            try {
+                if (db) await run(db, 'readwrite', (store) => store.clear());
+            } catch {
+                // ignore
+            }
+        },
+    };
+};
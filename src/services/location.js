@@ -0,0 +1,405 @@
+/**
+ * GitHug – offline location normalizer
+ * Resolves free-text GitHub locations ("SF", "Berlin", "San Francisco, CA",
+ * "München / Deutschland") to city + country + world region, with coordinates
+ * for city-level matches. No network calls: the gazetteer below is bundled.
+ */
+
+// ─────────────────────────────────────────────────────────────
+// Gazetteer
+// ─────────────────────────────────────────────────────────────
+
+// [code, name, region, aliases]
+const COUNTRIES = [
+    ['US', 'United States', 'North America', ['usa', 'us', 'u s a', 'united states of america', 'america']],
+    ['CA', 'Canada', 'North America', []],
+    ['MX', 'Mexico', 'Latin America', ['méxico']],
+    ['BR', 'Brazil', 'Latin America', ['brasil']],
+    ['AR', 'Argentina', 'Latin America', []],
+    ['CL', 'Chile', 'Latin America', []],
+    ['CO', 'Colombia', 'Latin America', []],
+    ['PE', 'Peru', 'Latin America', ['perú']],
+    ['UY', 'Uruguay', 'Latin America', []],
+    ['GB', 'United Kingdom', 'Europe', ['uk', 'u k', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland']],
+    ['IE', 'Ireland', 'Europe', ['éire']],
+    ['FR', 'France', 'Europe', []],
+    ['DE', 'Germany', 'Europe', ['deutschland']],
+    ['NL', 'Netherlands', 'Europe', ['the netherlands', 'holland', 'nederland']],
+    ['BE', 'Belgium', 'Europe', ['belgië', 'belgique']],
+    ['LU', 'Luxembourg', 'Europe', []],
+    ['CH', 'Switzerland', 'Europe', ['schweiz', 'suisse', 'svizzera']],
+    ['AT', 'Austria', 'Europe', ['österreich']],
+    ['IT', 'Italy', 'Europe', ['italia']],
+    ['ES', 'Spain', 'Europe', ['españa']],
+    ['PT', 'Portugal', 'Europe', []],
+    ['DK', 'Denmark', 'Europe', ['danmark']],
+    ['SE', 'Sweden', 'Europe', ['sverige']],
+    ['NO', 'Norway', 'Europe', ['norge']],
+    ['FI', 'Finland', 'Europe', ['suomi']],
+    ['IS', 'Iceland', 'Europe', []],
+    ['PL', 'Poland', 'Europe', ['polska']],
+    ['CZ', 'Czechia', 'Europe', ['czech republic', 'česko']],
+    ['SK', 'Slovakia', 'Europe', []],
+    ['HU', 'Hungary', 'Europe', ['magyarország']],
+    ['RO', 'Romania', 'Europe', ['românia']],
+    ['BG', 'Bulgaria', 'Europe', []],
+    ['GR', 'Greece', 'Europe', ['hellas']],
+    ['HR', 'Croatia', 'Europe', ['hrvatska']],
+    ['SI', 'Slovenia', 'Europe', []],
+    ['RS', 'Serbia', 'Europe', ['srbija']],
+    ['EE', 'Estonia', 'Europe', ['eesti']],
+    ['LV', 'Latvia', 'Europe', []],
+    ['LT', 'Lithuania', 'Europe', []],
+    ['UA', 'Ukraine', 'Europe', ['україна']],
+    ['RU', 'Russia', 'Europe', ['russian federation', 'россия']],
+    ['TR', 'Turkey', 'Middle East', ['türkiye', 'turkiye']],
+    ['IL', 'Israel', 'Middle East', []],
+    ['AE', 'United Arab Emirates', 'Middle East', ['uae']],
+    ['SA', 'Saudi Arabia', 'Middle East', []],
+    ['IR', 'Iran', 'Middle East', []],
+    ['EG', 'Egypt', 'Africa', []],
+    ['MA', 'Morocco', 'Africa', []],
+    ['NG', 'Nigeria', 'Africa', []],
+    ['KE', 'Kenya', 'Africa', []],
+    ['GH', 'Ghana', 'Africa', []],
+    ['ZA', 'South Africa', 'Africa', []],
+    ['IN', 'India', 'South Asia', ['bharat']],
+    ['PK', 'Pakistan', 'South Asia', []],
+    ['BD', 'Bangladesh', 'South Asia', []],
+    ['LK', 'Sri Lanka', 'South Asia', []],
+    ['NP', 'Nepal', 'South Asia', []],
+    ['CN', 'China', 'East Asia', ['prc', "people's republic of china", '中国']],
+    ['HK', 'Hong Kong', 'East Asia', []],
+    ['TW', 'Taiwan', 'East Asia', []],
+    ['JP', 'Japan', 'East Asia', ['日本']],
+    ['KR', 'South Korea', 'East Asia', ['korea', 'republic of korea', '대한민국']],
+    ['SG', 'Singapore', 'Southeast Asia', []],
+    ['MY', 'Malaysia', 'Southeast Asia', []],
+    ['ID', 'Indonesia', 'Southeast Asia', []],
+    ['TH', 'Thailand', 'Southeast Asia', []],
+    ['VN', 'Vietnam', 'Southeast Asia', ['viet nam']],
+    ['PH', 'Philippines', 'Southeast Asia', []],
+    ['AU', 'Australia', 'Oceania', []],
+    ['NZ', 'New Zealand', 'Oceania', ['aotearoa']],
+];
+
+// [name, country code, lat, lon, aliases, US state code]
+const CITIES = [
+    ['San Francisco', 'US', 37.77, -122.42, ['sf', 'san fran', 'bay area', 'sf bay area', 'san francisco bay area'], 'ca'],
+    ['San Jose', 'US', 37.34, -121.89, [], 'ca'],
+    ['Palo Alto', 'US', 37.44, -122.14, [], 'ca'],
+    ['Mountain View', 'US', 37.39, -122.08, [], 'ca'],
+    ['Oakland', 'US', 37.80, -122.27, [], 'ca'],
+    ['Berkeley', 'US', 37.87, -122.27, [], 'ca'],
+    ['Los Angeles', 'US', 34.05, -118.24, ['la', 'l a'], 'ca'],
+    ['San Diego', 'US', 32.72, -117.16, [], 'ca'],
+    ['Seattle', 'US', 47.61, -122.33, [], 'wa'],
+    ['Portland', 'US', 45.52, -122.68, ['pdx'], 'or'],
+    ['New York', 'US', 40.71, -74.01, ['nyc', 'ny', 'new york city', 'brooklyn', 'manhattan', 'queens'], 'ny'],
+    ['Boston', 'US', 42.36, -71.06, [], 'ma'],
+    ['Cambridge', 'US', 42.37, -71.11, [], 'ma'],
+    ['Washington', 'US', 38.91, -77.04, ['washington dc', 'washington d c', 'dc'], 'dc'],
+    ['Philadelphia', 'US', 39.95, -75.17, ['philly'], 'pa'],
+    ['Chicago', 'US', 41.88, -87.63, [], 'il'],
+    ['Austin', 'US', 30.27, -97.74, ['atx'], 'tx'],
+    ['Dallas', 'US', 32.78, -96.80, [], 'tx'],
+    ['Houston', 'US', 29.76, -95.37, [], 'tx'],
+    ['Denver', 'US', 39.74, -104.99, [], 'co'],
+    ['Boulder', 'US', 40.01, -105.27, [], 'co'],
+    ['Atlanta', 'US', 33.75, -84.39, [], 'ga'],
+    ['Miami', 'US', 25.76, -80.19, [], 'fl'],
+    ['Minneapolis', 'US', 44.98, -93.27, [], 'mn'],
+    ['Pittsburgh', 'US', 40.44, -80.00, [], 'pa'],
+    ['Salt Lake City', 'US', 40.76, -111.89, ['slc'], 'ut'],
+    ['Toronto', 'CA', 43.65, -79.38, []],
+    ['Montreal', 'CA', 45.50, -73.57, ['montréal']],
+    ['Vancouver', 'CA', 49.28, -123.12, []],
+    ['Ottawa', 'CA', 45.42, -75.70, []],
+    ['Waterloo', 'CA', 43.46, -80.52, []],
+    ['Mexico City', 'MX', 19.43, -99.13, ['cdmx', 'ciudad de méxico']],
+    ['Guadalajara', 'MX', 20.66, -103.35, []],
+    ['São Paulo', 'BR', -23.55, -46.63, ['sp']],
+    ['Rio de Janeiro', 'BR', -22.91, -43.17, ['rio']],
+    ['Belo Horizonte', 'BR', -19.92, -43.94, []],
+    ['Florianópolis', 'BR', -27.60, -48.55, []],
+    ['Buenos Aires', 'AR', -34.60, -58.38, []],
+    ['Santiago', 'CL', -33.45, -70.67, []],
+    ['Bogotá', 'CO', 4.71, -74.07, []],
+    ['Medellín', 'CO', 6.24, -75.58, []],
+    ['Lima', 'PE', -12.05, -77.04, []],
+    ['Montevideo', 'UY', -34.90, -56.16, []],
+    ['London', 'GB', 51.51, -0.13, []],
+    ['Manchester', 'GB', 53.48, -2.24, []],
+    ['Edinburgh', 'GB', 55.95, -3.19, []],
+    ['Bristol', 'GB', 51.45, -2.59, []],
+    ['Cambridge', 'GB', 52.21, 0.12, []],
+    ['Oxford', 'GB', 51.75, -1.26, []],
+    ['Dublin', 'IE', 53.35, -6.26, []],
+    ['Paris', 'FR', 48.86, 2.35, []],
+    ['Lyon', 'FR', 45.76, 4.84, []],
+    ['Toulouse', 'FR', 43.60, 1.44, []],
+    ['Berlin', 'DE', 52.52, 13.40, []],
+    ['Munich', 'DE', 48.14, 11.58, ['münchen', 'muenchen']],
+    ['Hamburg', 'DE', 53.55, 9.99, []],
+    ['Frankfurt', 'DE', 50.11, 8.68, ['frankfurt am main']],
+    ['Cologne', 'DE', 50.94, 6.96, ['köln', 'koeln']],
+    ['Stuttgart', 'DE', 48.78, 9.18, []],
+    ['Amsterdam', 'NL', 52.37, 4.90, []],
+    ['Rotterdam', 'NL', 51.92, 4.48, []],
+    ['Utrecht', 'NL', 52.09, 5.12, []],
+    ['Brussels', 'BE', 50.85, 4.35, ['bruxelles', 'brussel']],
+    ['Zurich', 'CH', 47.38, 8.54, ['zürich']],
+    ['Geneva', 'CH', 46.20, 6.14, ['genève', 'genf']],
+    ['Basel', 'CH', 47.56, 7.59, []],
+    ['Vienna', 'AT', 48.21, 16.37, ['wien']],
+    ['Milan', 'IT', 45.46, 9.19, ['milano']],
+    ['Rome', 'IT', 41.90, 12.50, ['roma']],
+    ['Turin', 'IT', 45.07, 7.69, ['torino']],
+    ['Bologna', 'IT', 44.49, 11.34, []],
+    ['Naples', 'IT', 40.85, 14.27, ['napoli']],
+    ['Madrid', 'ES', 40.42, -3.70, []],
+    ['Barcelona', 'ES', 41.39, 2.17, []],
+    ['Valencia', 'ES', 39.47, -0.38, []],
+    ['Lisbon', 'PT', 38.72, -9.14, ['lisboa']],
+    ['Porto', 'PT', 41.15, -8.61, []],
+    ['Copenhagen', 'DK', 55.68, 12.57, ['københavn', 'kobenhavn']],
+    ['Stockholm', 'SE', 59.33, 18.07, []],
+    ['Gothenburg', 'SE', 57.71, 11.97, ['göteborg']],
+    ['Malmö', 'SE', 55.60, 13.00, ['malmo']],
+    ['Oslo', 'NO', 59.91, 10.75, []],
+    ['Helsinki', 'FI', 60.17, 24.94, []],
+    ['Reykjavik', 'IS', 64.15, -21.94, ['reykjavík']],
+    ['Warsaw', 'PL', 52.23, 21.01, ['warszawa']],
+    ['Krakow', 'PL', 50.06, 19.94, ['kraków', 'cracow']],
+    ['Wroclaw', 'PL', 51.11, 17.04, ['wrocław']],
+    ['Prague', 'CZ', 50.08, 14.44, ['praha']],
+    ['Brno', 'CZ', 49.20, 16.61, []],
+    ['Bratislava', 'SK', 48.15, 17.11, []],
+    ['Budapest', 'HU', 47.50, 19.04, []],
+    ['Bucharest', 'RO', 44.43, 26.10, ['bucurești', 'bucuresti']],
+    ['Cluj-Napoca', 'RO', 46.77, 23.60, ['cluj']],
+    ['Sofia', 'BG', 42.70, 23.32, []],
+    ['Athens', 'GR', 37.98, 23.73, ['athina']],
+    ['Zagreb', 'HR', 45.81, 15.98, []],
+    ['Ljubljana', 'SI', 46.06, 14.51, []],
+    ['Belgrade', 'RS', 44.79, 20.45, ['beograd']],
+    ['Tallinn', 'EE', 59.44, 24.75, []],
+    ['Riga', 'LV', 56.95, 24.11, []],
+    ['Vilnius', 'LT', 54.69, 25.28, []],
+    ['Kyiv', 'UA', 50.45, 30.52, ['kiev']],
+    ['Lviv', 'UA', 49.84, 24.03, []],
+    ['Moscow', 'RU', 55.76, 37.62, ['moskva']],
+    ['Saint Petersburg', 'RU', 59.93, 30.34, ['st petersburg', 'st. petersburg']],
+    ['Istanbul', 'TR', 41.01, 28.98, []],
+    ['Ankara', 'TR', 39.93, 32.86, []],
+    ['Tel Aviv', 'IL', 32.09, 34.78, ['tel aviv-yafo', 'tlv']],
+    ['Jerusalem', 'IL', 31.77, 35.21, []],
+    ['Dubai', 'AE', 25.20, 55.27, []],
+    ['Riyadh', 'SA', 24.71, 46.68, []],
+    ['Tehran', 'IR', 35.69, 51.39, []],
+    ['Cairo', 'EG', 30.04, 31.24, []],
+    ['Casablanca', 'MA', 33.57, -7.59, []],
+    ['Lagos', 'NG', 6.52, 3.38, []],
+    ['Abuja', 'NG', 9.08, 7.40, []],
+    ['Nairobi', 'KE', -1.29, 36.82, []],
+    ['Accra', 'GH', 5.60, -0.19, []],
+    ['Cape Town', 'ZA', -33.92, 18.42, []],
+    ['Johannesburg', 'ZA', -26.20, 28.05, ['joburg']],
+    ['Bangalore', 'IN', 12.97, 77.59, ['bengaluru', 'blr']],
+    ['Mumbai', 'IN', 19.08, 72.88, ['bombay']],
+    ['Delhi', 'IN', 28.70, 77.10, ['new delhi', 'ncr']],
+    ['Hyderabad', 'IN', 17.39, 78.49, []],
+    ['Chennai', 'IN', 13.08, 80.27, ['madras']],
+    ['Pune', 'IN', 18.52, 73.86, []],
+    ['Kolkata', 'IN', 22.57, 88.36, ['calcutta']],
+    ['Karachi', 'PK', 24.86, 67.01, []],
+    ['Lahore', 'PK', 31.55, 74.34, []],
+    ['Dhaka', 'BD', 23.81, 90.41, []],
+    ['Colombo', 'LK', 6.93, 79.86, []],
+    ['Kathmandu', 'NP', 27.72, 85.32, []],
+    ['Beijing', 'CN', 39.90, 116.41, ['peking', '北京']],
+    ['Shanghai', 'CN', 31.23, 121.47, ['上海']],
+    ['Shenzhen', 'CN', 22.54, 114.06, ['深圳']],
+    ['Hangzhou', 'CN', 30.27, 120.16, ['杭州']],
+    ['Guangzhou', 'CN', 23.13, 113.26, ['广州']],
+    ['Chengdu', 'CN', 30.57, 104.07, ['成都']],
+    ['Hong Kong', 'HK', 22.32, 114.17, ['hk']],
+    ['Taipei', 'TW', 25.03, 121.57, ['台北']],
+    ['Tokyo', 'JP', 35.68, 139.69, ['東京']],
+    ['Osaka', 'JP', 34.69, 135.50, ['大阪']],
+    ['Kyoto', 'JP', 35.01, 135.77, []],
+    ['Seoul', 'KR', 37.57, 126.98, ['서울']],
+    ['Singapore', 'SG', 1.35, 103.82, []],
+    ['Kuala Lumpur', 'MY', 3.14, 101.69, ['kl']],
+    ['Jakarta', 'ID', -6.21, 106.85, []],
+    ['Bandung', 'ID', -6.92, 107.62, []],
+    ['Bangkok', 'TH', 13.76, 100.50, []],
+    ['Ho Chi Minh City', 'VN', 10.82, 106.63, ['saigon', 'hcmc']],
+    ['Hanoi', 'VN', 21.03, 105.85, ['hà nội']],
+    ['Manila', 'PH', 14.60, 120.98, []],
+    ['Sydney', 'AU', -33.87, 151.21, []],
+    ['Melbourne', 'AU', -37.81, 144.96, []],
+    ['Brisbane', 'AU', -27.47, 153.03, []],
+    ['Perth', 'AU', -31.95, 115.86, []],
+    ['Auckland', 'NZ', -36.85, 174.76, []],
+    ['Wellington', 'NZ', -41.29, 174.78, []],
+];
+
+// US states resolve to the country (and disambiguate cities like Cambridge, MA)
+const US_STATES = {
+    al: 'alabama', ak: 'alaska', az: 'arizona', ar: 'arkansas', ca: 'california', co: 'colorado',
+    ct: 'connecticut', de: 'delaware', fl: 'florida', ga: 'georgia', hi: 'hawaii', id: 'idaho',
+    il: 'illinois', in: 'indiana', ia: 'iowa', ks: 'kansas', ky: 'kentucky', la: 'louisiana',
+    me: 'maine', md: 'maryland', ma: 'massachusetts', mi: 'michigan', mn: 'minnesota', ms: 'mississippi',
+    mo: 'missouri', mt: 'montana', ne: 'nebraska', nv: 'nevada', nh: 'new hampshire', nj: 'new jersey',
+    nm: 'new mexico', ny: 'new york', nc: 'north carolina', nd: 'north dakota', oh: 'ohio', ok: 'oklahoma',
+    or: 'oregon', pa: 'pennsylvania', ri: 'rhode island', sc: 'south carolina', sd: 'south dakota',
+    tn: 'tennessee', tx: 'texas', ut: 'utah', vt: 'vermont', va: 'virginia', wa: 'washington',
+    wv: 'west virginia', wi: 'wisconsin', wy: 'wyoming',
+};
+
+// ─────────────────────────────────────────────────────────────
+// Indexes
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Lower-case, strip accents and punctuation (keeps non-Latin scripts intact)
+ */
+const normalizeText = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[.'’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const countryByCode = new Map();
+const countryIndex = new Map();
+for (const [code, name, region, aliases] of COUNTRIES) {
+    const country = { code, name, region };
+    countryByCode.set(code, country);
+    for (const key of [name, ...aliases]) countryIndex.set(normalizeText(key), country);
+}
+
+const cityIndex = new Map();
+for (const [name, code, lat, lon, aliases, state] of CITIES) {
+    const city = { name, country: code, lat, lon, state };
+    for (const key of [name, ...aliases]) {
+        const k = normalizeText(key);
+        cityIndex.set(k, [...(cityIndex.get(k) || []), city]);
+    }
+}
+
+// "me" and "maine" both map to "me"
+const stateIndex = new Map(Object.entries(US_STATES).flatMap(([code, name]) => [[code, code], [name, code]]));
+
+// ─────────────────────────────────────────────────────────────
+// Resolution
+// ─────────────────────────────────────────────────────────────
+
+const SEPARATORS = /[,;/|·•()–—]| - /;
+
+/**
+ * Countries a single location part may refer to ("ca" is California or Canada)
+ */
+const countriesFor = (part) => {
+    const codes = [];
+    if (stateIndex.has(part)) codes.push('US');
+    const country = countryIndex.get(part) || (part.length === 2 && countryByCode.get(part.toUpperCase()));
+    if (country) codes.push(country.code);
+    return codes;
+};
+
+/**
+ * Words of the whole string as n-grams (longest first), for "Berlin Germany"-style input
+ */
+const ngrams = (text, max = 3) => {
+    const words = text.split(' ').filter(Boolean);
+    const out = [];
+    for (let n = Math.min(max, words.length); n >= 1; n -= 1) {
+        for (let i = 0; i + n <= words.length; i += 1) out.push(words.slice(i, i + n).join(' '));
+    }
+    // Short tokens ("de", "in", "la") are too ambiguous outside their own comma-separated part
+    return out.filter((gram) => gram.length >= 3);
+};
+
+const toLocation = (city, countryCode) => {
+    const country = countryByCode.get(city?.country || countryCode);
+    if (!country) return null;
+    return {
+        city: city?.name || null,
+        country: country.code,
+        countryName: country.name,
+        region: country.region,
+        lat: city?.lat ?? null,
+        lon: city?.lon ?? null,
+    };
+};
+
+/**
+ * Resolve a free-text location to { city, country, countryName, region, lat, lon }.
+ * Returns null when nothing in the gazetteer matches ("Earth", "Remote", ...).
+ */
+export const normalizeLocation = (text) => {
+    const parts = String(text || '').split(SEPARATORS).map(normalizeText).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const search = (keys) => {
+        // After the first part, a code like "LA" or "NY" is a state, not a city alias
+        const cityKeys = keys.filter((key, i) => i === 0 || key.length > 2 || countriesFor(key).length === 0);
+        const cities = cityKeys.flatMap((key) => cityIndex.get(key) || []);
+        const countries = keys.map(countriesFor).filter((codes) => codes.length > 0);
+        // A part that is itself a city ("Washington", "New York") names no state
+        const states = keys.filter((key) => !cityIndex.has(key)).map((key) => stateIndex.get(key)).filter(Boolean);
+        return { cities, countries, states };
+    };
+
+    // Whole parts first ("San Francisco, CA"), then n-grams ("Berlin Germany")
+    let { cities, countries, states } = search(parts);
+    if (cities.length === 0 && countries.length === 0) {
+        ({ cities, countries, states } = search(ngrams(parts.join(' '))));
+    }
+
+    // A named state rules out US cities elsewhere ("Portland, Maine" is not Portland, OR)
+    cities = cities.filter((c) => !c.state || states.length === 0 || states.includes(c.state));
+    if (cities.length > 0) {
+        // Prefer the city consistent with an explicit country/state ("Cambridge, UK");
+        // if every one contradicts it ("Paris, TX"), the place is outside the gazetteer
+        const mentioned = countries.flat();
+        const city = cities.find((c) => mentioned.includes(c.country)) || (countries.length === 0 && cities[0]);
+        if (city) return toLocation(city);
+    }
+    // Otherwise the most specific (last) part names the country; states win over codes ("Fresno, CA")
+    return countries.length > 0 ? toLocation(null, countries[countries.length - 1][0]) : null;
+};
+
+const distanceKm = (a, b) => {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLon = rad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+const NEARBY_KM = 100;
+
+/**
+ * Tiered proximity between two resolved locations:
+ * same city (or within ~100 km) > same country > same world region.
+ * Returns { tier, fraction, label } or null.
+ */
+export const compareLocations = (mine, theirs) => {
+    if (!mine || !theirs) return null;
+
+    if (mine.city && theirs.city) {
+        if (mine.city === theirs.city && mine.country === theirs.country) {
+            return { tier: 'city', fraction: 1, label: theirs.city };
+        }
+        if (mine.lat != null && theirs.lat != null && distanceKm(mine, theirs) <= NEARBY_KM) {
+            return { tier: 'city', fraction: 1, label: theirs.city };
+        }
+    }
+    if (mine.country === theirs.country) return { tier: 'country', fraction: 0.6, label: theirs.countryName };
+    if (mine.region === theirs.region) return { tier: 'region', fraction: 0.25, label: theirs.region };
+    return null;
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeLocation, compareLocations } from './location'
+
+describe('normalizeLocation', () => {
+  it('should resolve cities, aliases and accents', () => {
+    expect(normalizeLocation('San Francisco, CA')).toMatchObject({ city: 'San Francisco', country: 'US', region: 'North America' })
+    expect(normalizeLocation('SF')).toMatchObject({ city: 'San Francisco', lat: 37.77 })
+    expect(normalizeLocation('München / Deutschland')).toMatchObject({ city: 'Munich', country: 'DE' })
+    expect(normalizeLocation('Berlin Germany')).toMatchObject({ city: 'Berlin', countryName: 'Germany' })
+  })
+
+  it('should use the country or state to disambiguate', () => {
+    expect(normalizeLocation('Cambridge, UK')).toMatchObject({ city: 'Cambridge', country: 'GB' })
+    expect(normalizeLocation('Cambridge, MA')).toMatchObject({ city: 'Cambridge', country: 'US' })
+    expect(normalizeLocation('New Orleans, LA')).toMatchObject({ city: null, country: 'US' })
+    expect(normalizeLocation('Toronto, CA')).toMatchObject({ country: 'CA' })
+    expect(normalizeLocation('Washington, DC')).toMatchObject({ city: 'Washington', country: 'US' })
+    expect(normalizeLocation('Portland, OR')).toMatchObject({ city: 'Portland', lat: 45.52 })
+  })
+
+  it('should fall back to the named country when it contradicts every matching city', () => {
+    expect(normalizeLocation('Paris, TX')).toMatchObject({ city: null, country: 'US', lat: null })
+    expect(normalizeLocation('Athens, GA')).toMatchObject({ city: null, country: 'US' })
+    expect(normalizeLocation('Dublin, CA')).toMatchObject({ city: null, country: 'US' })
+    expect(normalizeLocation('London, Ontario, Canada')).toMatchObject({ city: null, country: 'CA' })
+    expect(normalizeLocation('Portland, Maine')).toMatchObject({ city: null, country: 'US', lat: null })
+    expect(normalizeLocation('Portland Maine')).toMatchObject({ city: null, country: 'US' })
+  })
+
+  it('should fall back to the country and return null for unknown places', () => {
+    expect(normalizeLocation('Iowa')).toMatchObject({ city: null, country: 'US', lat: null })
+    expect(normalizeLocation('Italia')).toMatchObject({ countryName: 'Italy', region: 'Europe' })
+    expect(normalizeLocation('Earth')).toBeNull()
+    expect(normalizeLocation('')).toBeNull()
+  })
+})
+
+describe('compareLocations', () => {
+  it('should rank same city over same country over same region', () => {
+    const berlin = normalizeLocation('Berlin')
+    expect(compareLocations(berlin, normalizeLocation('Berlin, DE'))).toMatchObject({ tier: 'city', fraction: 1 })
+    expect(compareLocations(berlin, normalizeLocation('Munich'))).toMatchObject({ tier: 'country', label: 'Germany' })
+    expect(compareLocations(berlin, normalizeLocation('Paris'))).toMatchObject({ tier: 'region', label: 'Europe' })
+    expect(compareLocations(berlin, normalizeLocation('Tokyo'))).toBeNull()
+  })
+
+  it('should treat nearby cities as the same place', () => {
+    expect(compareLocations(normalizeLocation('SF'), normalizeLocation('Oakland'))).toMatchObject({ tier: 'city', label: 'Oakland' })
+  })
+})